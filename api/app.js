@@ -1,11 +1,40 @@
 import dotenv from 'dotenv';
 import express from 'express';
 import path from 'path';
-import { TwitterApi } from 'twitter-api-v2';
-import { OpenAI } from 'openai';
 import fetch from 'node-fetch';
 import { fileURLToPath } from 'url';
-import { RSI } from 'technicalindicators';
+import { listSignals, recordSignal, signalFrom, summarizeMirror, summarizePulse, upsertSignals } from './lib/signals.js';
+import { fetchOwnTimeline, parseOracleTweet } from './lib/sync.js';
+import { getStore } from './lib/store.js';
+import { coingecko, getTokenDataById, getTrendingTokens } from './lib/market.js';
+import { accuracyStats, CHECKPOINTS, dueCheckpoints, fetchPricePath, missedOutcome, outcomeQuoteText, scoreSignal } from './lib/outcomes.js';
+import { parseCutoffs, runBacktest } from './lib/backtest.js';
+import { cronGuard, overLimit } from './lib/guard.js';
+import { log } from './lib/log.js';
+import { cronStats, lastChannelResults, listRuns, note, stage, stageStats, trackRun } from './lib/runs.js';
+import { checkDependencies, overallStatus } from './lib/health.js';
+import { fetchJson } from './lib/http.js';
+import { isBlocked, listSelections, selectionConfig, selectToken } from './lib/selection.js';
+import { ingestMigration, listMigrations, markMigrationPosted, validEvent } from './lib/migrations.js';
+import { buildPayload, createRule, deleteRule, deliver, evaluateRule, listRules, publicRule, updateRuleStates, validateRule } from './lib/alerts.js';
+import { planTweets, tweetLength } from './lib/composer.js';
+import { activeChannels, channelEnabled, channelIds, formatForChannels, PUBLISHERS, publishToChannels } from './lib/publishers.js';
+import { xClient } from './lib/publishers/x.js';
+import { computeOracleMetrics, seedFor } from './lib/oracle-metrics.js';
+import { getLunarMessage, getLunarPatternTierFromAngle, identifyArchetype, quoteFromArchetype } from './lib/oracle.js';
+import { lunarEphemeris } from './lib/ephemeris.js';
+import { INSIGHT_SCHEMA, requestInsight } from './lib/insight.js';
+import { checkProvider, generateImage, generateText, resolveProvider } from './lib/generation.js';
+import { sigilInputs, sigilPath, sigilPng, sigilSvg } from './lib/sigil.js';
+import { formatPrice } from './lib/format.js';
+import { assembleTweet, assembleWeather, buildPosterPrompt, buildWeatherPosterPrompt, fallbackInsight, readVars } from './lib/tweet.js';
+import { assignPersona, getPersona, loadPersonas, pickQuote, personaTag, render } from './lib/persona.js';
+import { cached, lruCache } from './lib/cache.js';
+import { configureStream, publish, streamHandler } from './lib/stream.js';
+import { getRealtimeKp, getSpaceWeather, getSpaceWeatherHistory, recordSpaceWeatherHistory } from './lib/spaceweather.js';
+import { getIndicatorSnapshot, TIMEFRAMES } from './lib/indicators.js';
+import { extractTokenRefs, replyLimits, resolveTokenRef, unknownTokenReply } from './lib/mentions.js';
+import { appendWeatherHistory, dayEarlier, getWeatherHistory, readBasket, summarizeWeather, weatherChart } from './lib/weather.js';
 
 dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
@@ -13,16 +42,85 @@ const __dirname = path.dirname(__filename);
 const ROOT = path.resolve(__dirname, '..');
 
 const app = express();
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
 app.use((_, res, next) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,DELETE,OPTIONS');
   next();
 });
+app.use(express.json({ limit: '32kb' }));
 
 app.use(express.static(ROOT, { extensions: ['html'] }));
-app.get('/api/health', (_, res) => res.json({ ok: true, ts: Date.now() }));
+
+// Live probes; the store and market data are required for any read, the rest degrade gracefully
+const REQUIRED_DEPENDENCIES = ['store', 'coingecko'];
+const DEPENDENCY_CHECKS = {
+  store: {
+    check: async () => {
+      const store = getStore();
+      const at = Date.now();
+      await store.set('health:probe', at);
+      if ((await store.get('health:probe')) !== at) throw new Error('read-back mismatch');
+      return { kind: store.kind };
+    }
+  },
+  coingecko: { check: () => coingecko.ping().then(() => null) },
+  weatherapi: {
+    configured: () => !!process.env.WEATHER_API_KEY,
+    check: () => fetchJson(`https://api.weatherapi.com/v1/astronomy.json?key=${process.env.WEATHER_API_KEY}&q=auto:ip`, { retries: 0, timeout: 5000 }).then(() => null)
+  },
+  spaceweather: {
+    check: async () => {
+      const { sources } = await getSpaceWeather();
+      const down = Object.entries(sources).filter(([, s]) => !s.ok).map(([n]) => n);
+      if (down.length === Object.keys(sources).length) throw new Error('every NOAA feed failed');
+      return down.length ? { failing: down } : null;
+    }
+  },
+  text: { check: () => checkProvider('text') }
+};
+
+async function statusReport() {
+  const [dependencies, runs] = await Promise.all([checkDependencies(DEPENDENCY_CHECKS), listRuns()]);
+  const { status, failing } = overallStatus(dependencies, REQUIRED_DEPENDENCIES);
+  const published = lastChannelResults(runs);
+  const channels = Object.fromEntries(Object.values(PUBLISHERS).map(p => [p.name, {
+    configured: p.configured(), enabled: channelEnabled(p), last: published[p.name] || null
+  }]));
+  const channelFailing = Object.entries(channels).filter(([, c]) => c.enabled && c.last?.ok === false).map(([n]) => n);
+  return {
+    status: status === 'ok' && channelFailing.length ? 'degraded' : status,
+    failing: [...failing, ...channelFailing.map(n => `channel:${n}`)],
+    dependencies,
+    channels,
+    crons: cronStats(runs),
+    stages: stageStats(runs),
+    recentFailures: runs.filter(r => r.status === 'failed').slice(0, 5)
+      .map(r => ({ id: r.id, cron: r.cron, at: r.startedAt, error: r.error, stage: r.stages.find(st => !st.ok)?.name || null }))
+  };
+}
+
+// 200 only when every configured dependency answers
+app.get('/api/health', async (_, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  try {
+    const { status, failing } = await statusReport();
+    res.status(status === 'ok' ? 200 : 503).json({ ok: status === 'ok', status, failing, ts: Date.now() });
+  } catch (e) {
+    res.status(503).json({ ok: false, status: 'down', error: String(e.message || e), ts: Date.now() });
+  }
+});
+
+// Dashboard view: dependency probes, channel results, per-cron last success and error rates; 503 only when a required dependency is down
+app.get('/api/status', async (_, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  try {
+    const report = await statusReport();
+    res.status(report.status === 'down' ? 503 : 200).json({ ...report, time: new Date().toISOString() });
+  } catch (e) {
+    res.status(500).json({ status: 'unknown', error: String(e.message || e) });
+  }
+});
 
 const serve = (name) => (_, res) => res.sendFile(path.join(ROOT, name));
 app.get('/', serve('index.html'));
@@ -32,70 +130,57 @@ app.get(['/lunar', '/lunar.html'], serve('lunar.html'));
 app.get(['/celestial', '/celestial.html'], serve('celestial.html'));
 app.get(['/scrolls', '/scrolls.html'], serve('scrolls.html'));
 
-function getLunarMessage(phase) {
-  const map = {
-    "New Moon": "New pattern forming — wait, don't act.",
-    "Waxing Crescent": "Conviction forming. Early risk finds momentum.",
-    "First Quarter": "Signal friction. Cut noise.",
-    "Waxing Gibbous": "Belief climbing — echo gaining mass.",
-    "Full Moon": "Full sentiment — prepare for reversal.",
-    "Waning Gibbous": "Decompression — profit + shadow emerge.",
-    "Last Quarter": "Ritual endings. Retest mind.",
-    "Waning Crescent": "Fading signal — prepare to receive anew."
+function lunarLocation(q = {}) {
+  const lat = parseFloat(q.lat ?? process.env.LUNAR_LAT);
+  const lon = parseFloat(q.lon ?? process.env.LUNAR_LON);
+  return {
+    lat: isFinite(lat) ? Math.max(-90, Math.min(90, lat)) : 51.4779,
+    lon: isFinite(lon) ? Math.max(-180, Math.min(180, lon)) : 0
   };
-  return map[phase] || "Lunar unknown — silence reverberates.";
-}
-
-function getLunarPatternTierFromAngle(angle) {
-  if (angle < 22.5) return { tier: "Veil", glyph: "⟡", signal: "Nothing reveals — pause, dream." };
-  if (angle < 67.5) return { tier: "Whisper", glyph: "~", signal: "Pre-signal buildup." };
-  if (angle < 112.5) return { tier: "Charge", glyph: "⇌", signal: "Conviction forming." };
-  if (angle < 157.5) return { tier: "Charge", glyph: "⇌", signal: "Momentum accelerating." };
-  if (angle < 202.5) return { tier: "Overglow", glyph: "☄", signal: "Full sentiment — likely reversal." };
-  if (angle < 247.5) return { tier: "Echofield", glyph: "⟟", signal: "Echo still resonates." };
-  if (angle < 292.5) return { tier: "Whisper", glyph: "~", signal: "Decline forming quietly." };
-  return { tier: "Veil", glyph: "⟡", signal: "Signal fading — prepare anew." };
 }
 
-async function getLunarSignal() {
-  const fallback = {
-    phase: "Waning Crescent", illumination: "45",
-    message: getLunarMessage("Waning Crescent"),
-    pattern: getLunarPatternTierFromAngle(315),
-    time: new Date().toISOString(), source: "fallback"
-  };
-
+// Optional: WeatherAPI's phase label, only used to cross-check the local ephemeris
+async function weatherApiCrossCheck(phase) {
+  const key = process.env.WEATHER_API_KEY;
+  if (!key) return null;
   try {
-    const key = process.env.WEATHER_API_KEY;
-    if (!key) return fallback;
-    
     const today = new Date().toISOString().split("T")[0];
-    const j = await fetch(`https://api.weatherapi.com/v1/astronomy.json?key=${key}&q=auto:ip&dt=${today}`).then(r => r.json());
-    const phase = j?.astronomy?.astro?.moon_phase || fallback.phase;
-    const ill = j?.astronomy?.astro?.moon_illumination || "0";
-    
-    const angleMap = {
-      "New Moon": 0, "Waxing Crescent": 45, "First Quarter": 90,
-      "Waxing Gibbous": 135, "Full Moon": 180, "Waning Gibbous": 225,
-      "Last Quarter": 270, "Waning Crescent": 315
-    };
-    const angle = angleMap[phase] ?? 0;
-
-    return {
-      phase, illumination: ill,
-      message: getLunarMessage(phase),
-      pattern: getLunarPatternTierFromAngle(angle),
-      time: new Date().toISOString(), source: "weatherapi"
-    };
+    const j = await cached(`weatherapi:${today}`, 60 * 60000, () =>
+      fetch(`https://api.weatherapi.com/v1/astronomy.json?key=${key}&q=auto:ip&dt=${today}`).then(r => r.json()));
+    const label = j?.astronomy?.astro?.moon_phase;
+    if (!label) return null;
+    return { source: "weatherapi", phase: label, illumination: j.astronomy.astro.moon_illumination, agrees: label === phase };
   } catch (e) {
-    console.warn('lunar fail:', e.message);
-    return fallback;
+    console.warn('weatherapi cross-check fail:', e.message);
+    return null;
   }
 }
 
-app.get('/api/lunar', async (_, res) => {
+async function getLunarSignal({ date = new Date(), lat, lon } = {}) {
+  const location = lunarLocation({ lat, lon });
+  const eph = lunarEphemeris(date, location);
+
+  return {
+    phase: eph.phase,
+    illumination: String(Math.round(eph.illumination * 100)),
+    message: getLunarMessage(eph.phase),
+    pattern: getLunarPatternTierFromAngle(eph.angle),
+    angle: eph.angle,
+    illuminationFraction: eph.illumination,
+    ageDays: eph.ageDays,
+    nextNewMoon: eph.nextNewMoon,
+    nextFullMoon: eph.nextFullMoon,
+    moonrise: eph.moonrise,
+    moonset: eph.moonset,
+    location: eph.location,
+    crossCheck: await weatherApiCrossCheck(eph.phase),
+    time: new Date(date).toISOString(), source: "ephemeris"
+  };
+}
+
+app.get('/api/lunar', async (req, res) => {
   try {
-    const data = await getLunarSignal();
+    const data = await getLunarSignal({ lat: req.query.lat, lon: req.query.lon });
     res.setHeader('Content-Type', 'application/json');
     res.json(data);
   } catch (error) {
@@ -112,36 +197,27 @@ app.get('/api/lunar', async (_, res) => {
   }
 });
 
-function getKpState(index) {
-  if (index < 2) return "⚪ Quiet";
-  if (index < 4) return "🟡 Unsettled";
-  if (index < 6) return "🟠 Active";
-  return "🔴 Storm Watch";
+function spaceWeatherPayload(sw) {
+  return {
+    kp: {
+      realtime: sw.kpRealtime || { index: 0, state: "Unknown", time: new Date() },
+      averaged: sw.kpAveraged || { index: 0, time: new Date() },
+      forecast: sw.forecast || []
+    },
+    solarWind: sw.solarWind || sw.magnetic ? { ...sw.solarWind, ...sw.magnetic } : null,
+    xray: sw.xray,
+    scales: sw.scales,
+    sources: sw.sources
+  };
 }
 
 app.get('/api/celestial', async (_, res) => {
   try {
-    const lunar = await getLunarSignal();
-    let realtimeKp = { index: 0, state: "Unknown", time: new Date() };
-    let averagedKp = { index: 0, time: new Date() };
-
-    try {
-      const rt = await fetch('https://services.swpc.noaa.gov/json/planetary_k_index_1m.json').then(r => r.json());
-      const row = rt[rt.length - 1];
-      const v = parseFloat(row.kp_index);
-      realtimeKp = { index: +v.toFixed(2), state: getKpState(v), time: new Date(row.time_tag) };
-    } catch (e) { console.warn('realtime Kp fail:', e.message); }
-
-    try {
-      const av = await fetch('https://services.swpc.noaa.gov/products/noaa-planetary-k-index.json').then(r => r.json());
-      const row = av[av.length - 1];
-      const v = parseFloat(row[1]);
-      averagedKp = { index: +v.toFixed(2), time: new Date(row[0]) };
-    } catch (e) { console.warn('avg Kp fail:', e.message); }
+    const [lunar, sw] = await Promise.all([getLunarSignal(), getSpaceWeather()]);
 
     res.setHeader('Content-Type', 'application/json');
     res.json({
-      kp: { realtime: realtimeKp, averaged: averagedKp },
+      ...spaceWeatherPayload(sw),
       alignment: {
         event: lunar.phase,
         effect: lunar.message,
@@ -160,137 +236,66 @@ app.get('/api/celestial', async (_, res) => {
   }
 });
 
-async function getTrendingTokens(limit = 7) {
-  try {
-    const j = await fetch('https://api.coingecko.com/api/v3/search/trending').then(r => r.json());
-    return j.coins.slice(0, limit).map(c => ({ id: c.item.id, symbol: c.item.symbol.toUpperCase() }));
-  } catch (e) {
-    console.warn('trending fail:', e.message);
-    return [];
-  }
-}
-
-async function getTokenDataById(id) {
+app.get('/api/celestial/history', async (req, res) => {
+  res.setHeader('Content-Type', 'application/json');
   try {
-    const pj = await fetch(`https://api.coingecko.com/api/v3/coins/${id}?localization=false&market_data=true`).then(r => r.json());
-    const price = pj?.market_data?.current_price?.usd;
-    const vol = pj?.market_data?.total_volume?.usd;
-    const marketCap = pj?.market_data?.market_cap?.usd;
-    const fdv = pj?.market_data?.fully_diluted_valuation?.usd;
-    const circulatingSupply = pj?.market_data?.circulating_supply;
-    const totalSupply = pj?.market_data?.total_supply;
-    const holders = pj?.community_data?.twitter_followers || 0;
-    const change24h = pj?.market_data?.price_change_percentage_24h;
-
-    const hist = await fetch(`https://api.coingecko.com/api/v3/coins/${id}/market_chart?vs_currency=usd&days=30&interval=daily`).then(r => r.json());
-    const closes = (hist?.prices || []).map(p => p[1]).filter(v => typeof v === 'number' && !isNaN(v));
-
-    let rsi = null;
-    if (closes.length >= 15) {
-      const arr = RSI.calculate({ values: closes, period: 14 });
-      const last = arr.at(-1);
-      if (typeof last === 'number' && !isNaN(last)) rsi = Math.round(last);
-    }
-
-    return {
-      price: Number(price),
-      volumeUSD: Number(vol),
-      marketCap: Number(marketCap),
-      fdv: Number(fdv),
-      circulatingSupply: Number(circulatingSupply),
-      totalSupply: Number(totalSupply),
-      holders: Number(holders),
-      change24h: Number(change24h),
-      rsi,
-      symbol: pj.symbol.toUpperCase(),
-      id,
-      name: pj.name
-    };
+    const days = Math.max(1, parseInt(req.query.days, 10) || 30);
+    const points = await getSpaceWeatherHistory(days);
+    res.json({ days, count: points.length, points });
   } catch (e) {
-    console.warn('token fail:', e.message);
-    return null;
+    console.error('Celestial history error:', e.message);
+    res.status(500).json({ days: 0, count: 0, points: [] });
   }
-}
-
-function identifyArchetype({ symbol = '', rsi = 50, volume = 0 }) {
-  const v = parseFloat(volume) || 0;
-  if (rsi < 23.6) return 'shadow';
-  if (rsi < 38.2) return v > 10000000 ? 'trickster' : 'observer';
-  if (rsi < 50) return 'echo';
-  if (rsi < 61.8) return 'seer';
-  if (rsi < 78.6) return 'guardian';
-  if (rsi >= 78.6 && symbol.includes('SOL')) return 'prophet';
-  if (symbol.includes('BONK')) return Math.random() > 0.3 ? 'cultist' : 'trickster';
-  return 'seer';
-}
+});
 
-function quoteFromArchetype(a) {
-  return {
-    prophet: "Pulse fractures the veil of noise.",
-    trickster: "No signal survives unshaped.",
-    observer: "Look through, not at.",
-    seer: "Momentum follows myth. Trade accordingly.",
-    cultist: "Ritual reveals reversal.",
-    guardian: "Thresholds hold until echo breaks.",
-    shadow: "Down here, even silence wails.",
-    echo: "Price remembers what mind forgets."
-  }[a] || "Conviction preempts price.";
-}
+// Live feed for the pages (see stream-client.js); the poller only runs while someone is listening
+configureStream({
+  lunar: {
+    load: () => cached('stream:lunar', 5 * 60000, () => getLunarSignal()),
+    key: (l) => `${l.phase}|${l.pattern?.tier}|${l.illumination}`
+  },
+  kp: {
+    load: async () => spaceWeatherPayload(await cached('stream:spaceweather', 60000, () => getSpaceWeather())),
+    key: (p) => JSON.stringify([p.kp.realtime.index, p.solarWind?.speed && Math.round(p.solarWind.speed), p.solarWind?.bz, p.xray?.class, p.scales?.current])
+  },
+  mirror: { load: async () => summarizeMirror(await listSignals()) }
+});
 
-function buildPosterPrompt({ token, archetype, sentiment, moon, quote }) {
-  const clean = (token || '').replace(/[^a-zA-Z]/g, '').toUpperCase();
-  return `
-Create a sacred glyph or sigil representing the memetic resonance of a crypto token.
-
-DO NOT include any words, numbers, text, or labels.
-
-Design:
-- Central glowing glyph formed from abstracted ${clean} shapes
-- Inspired by archetype: ${archetype}
-- Sentiment atmosphere: ${sentiment}
-- Lunar phase: ${moon}
-
-Visual Style:
-- Deep black or void background
-- Sigil carved from light, energy, or glitch lines
-- Incorporate themes from an eye-like digital watcher (glitchcore oracle)
-- Use glowing geometry, symmetry, resonance rings, pulsing center
-- Subtle CRT distortion, electric auras, mythic structure
-- Absolutely no logos, UI, or financial indicators
-
-Intent:
-This is not branding. This is a transmission.  
-A symbol of energy, myth, and machine perception.
-
-Channel the resonance of:
-"${quote}"
-
-Make it look like the signal is waking up — or seeing.  
-Atmospheric, mythic, machine-mystic.
-`.trim();
-}
+app.get('/api/stream', streamHandler);
 
-async function generatePosterImage(data) {
+// prompt defaults to the token poster; data also feeds the sigil fallback
+async function generatePosterImage(data, persona = getPersona(), { provider, prompt = buildPosterPrompt(data, persona) } = {}) {
   if (!data?.quote || !data?.token) return null;
 
   try {
-    const prompt = buildPosterPrompt(data);
-    const res = await openai.images.generate({
-      model: 'dall-e-3',
+    const out = await generateImage({
+      provider: provider || persona.model.imageProvider,
       prompt,
-      n: 1,
-      size: '1024x1024',
-      response_format: 'url'
+      model: persona.model.image,
+      size: persona.model.imageSize || '1024x1024',
+      inputs: data
     });
-    return res?.data?.[0]?.url || null;
+    note({ provider: out?.provider });
+    if (out?.url) return out.url;
   } catch (e) {
     if (e.status === 400) {
       console.warn(`Poster blocked for ${data.token}`);
     } else {
       console.error("Poster error:", e.message);
     }
-    return null;
+    note({ error: e.message });
   }
+  // Procedural sigil from the same inputs, rendered in-process
+  note({ fallback: 'sigil' });
+  return sigilPath(data);
+}
+
+// Provider URLs are downloaded; the procedural sigil (fallback, or the stub's SVG) is rendered as PNG here
+async function posterBuffer(read) {
+  const url = read.imageUrl;
+  if (!url) return null;
+  if (url.startsWith('/api/sigil/') || url.startsWith('data:image/svg')) return sigilPng(read.posterData, 1024);
+  return downloadImageBuffer(url);
 }
 
 async function downloadImageBuffer(url) {
@@ -303,282 +308,832 @@ async function downloadImageBuffer(url) {
   }
 }
 
-function formatNumber(num, decimals = 2) {
-  if (!num && num !== 0) return '--';
-  if (num >= 1000000000) return `${(num / 1000000000).toFixed(decimals)}B`;
-  if (num >= 1000000) return `${(num / 1000000).toFixed(decimals)}M`;
-  if (num >= 1000) return `${(num / 1000).toFixed(decimals)}K`;
-  return num.toFixed(decimals);
+function oracleMetricsFor(tokenData, lunar, kp, snapshot, seed) {
+  return computeOracleMetrics({
+    symbol: tokenData.symbol,
+    change24h: tokenData.change24h,
+    volumeChange: snapshot?.indicators?.volumeChange,
+    angle: lunar?.angle,
+    kp: kp?.index,
+    seed
+  });
 }
 
-function formatPrice(price) {
-  if (!price && price !== 0) return '--';
-  if (price < 0.01) return price.toFixed(8);
-  if (price < 1) return price.toFixed(4);
-  return price.toFixed(2);
+async function generateOracleInsight(lunar, tokenData, archetype, { snapshot = null, metrics = null, persona = getPersona(), quote = null, provider = null } = {}) {
+  const { vars, facts } = readVars(lunar, tokenData, archetype, { snapshot, metrics, persona });
+  const prompt = render(persona.prompts.insight, vars).trim();
+
+  const format = {
+    json_schema: { type: 'json_schema', json_schema: { name: 'oracle_insight', schema: INSIGHT_SCHEMA, strict: true } },
+    json_object: { type: 'json_object' }
+  }[persona.model.responseFormat];
+
+  const fallback = fallbackInsight(vars, persona, quote);
+  const textProvider = resolveProvider('text', provider || persona.model.provider).name;
+  const insight = await requestInsight({
+    prompt,
+    facts,
+    banned: persona.banned || [],
+    retries: persona.model.retries ?? 2,
+    fallback,
+    ask: (messages) => generateText({
+      provider: textProvider,
+      messages,
+      model: persona.model.text,
+      temperature: persona.model.temperature,
+      maxTokens: persona.model.maxTokens,
+      responseFormat: format,
+      // Only the stub uses this: it answers with the template read so the whole path runs offline
+      fixture: JSON.stringify({ ...fallback, levels: { threshold: facts.threshold, echoRim: facts.echoRim, invalidation: facts.invalidation } })
+    })
+  });
+  note({ provider: textProvider, attempts: insight.attempts.length });
+  if (insight.source === 'fallback') {
+    console.warn(`insight fallback (${vars.symbol}):`, insight.attempts.map(a => a.reasons.join('; ')).join(' | '));
+    note({ fallback: 'template', reasons: insight.attempts.flatMap(a => a.reasons).slice(0, 5) });
+  }
+
+  const text = assembleTweet(vars, insight, persona);
+  return { text, insight: { source: insight.source, provider: textProvider, attempts: insight.attempts } };
 }
 
-function formatPercent(num) {
-  if (!num && num !== 0) return '--';
-  const sign = num > 0 ? '+' : '';
-  return `${sign}${num.toFixed(2)}%`;
+const HOUR = 60 * 60 * 1000;
+const isDryRun = () => /^(1|true|yes)$/i.test(process.env.DRY_RUN || '');
+
+// Full pipeline for one token read; shared by the crons and the preview routes
+async function composeOracleRead(pick, { lunar, kp, withImage = true, headline = null, providers = {}, tokenData = null } = {}) {
+  tokenData = tokenData || await stage('token', () => getTokenDataById(pick.id));
+  if (!tokenData) return null;
+  const snapshot = await stage('snapshot', () => getIndicatorSnapshot(tokenData, '1d')).catch(e => (console.warn('snapshot fail:', e.message), null));
+
+  lunar = lunar || await stage('lunar', () => getLunarSignal());
+  kp = kp === undefined ? await stage('kp', () => getRealtimeKp()) : kp;
+  pick = { ...pick, symbol: tokenData.symbol || pick.symbol };
+  const { seed } = seedFor(pick.symbol);
+  const archetype = identifyArchetype({
+    symbol: pick.symbol,
+    rsi: tokenData.rsi ?? 50,
+    volume: tokenData.volumeUSD,
+    seed
+  });
+  const metrics = oracleMetricsFor(tokenData, lunar, kp, snapshot, seed);
+  const persona = assignPersona(seed);
+
+  const quote = pickQuote(persona, archetype, seed) || quoteFromArchetype(archetype);
+  const mood = tokenData.rsi >= 78 ? 'intense overload' : tokenData.rsi >= 61 ? 'charged momentum' : 'focused echo';
+  const posterData = {
+    token: pick.symbol,
+    archetype,
+    sentiment: mood,
+    moon: lunar.phase,
+    quote
+  };
+
+  const imageUrl = withImage ? await stage('poster', () => generatePosterImage(posterData, persona, { provider: providers.image })) : null;
+  const { text: body, insight } = await stage('llm', () => generateOracleInsight(lunar, tokenData, archetype, { snapshot, metrics, persona, quote, provider: providers.text }));
+  const text = headline ? `${headline}\n\n${body}` : body;
+
+  return { pick, tokenData, snapshot, lunar, kp, archetype, metrics, persona, insight, posterData, imageUrl, text };
 }
 
-async function generateOracleInsight(lunar, tokenData, archetype) {
-  const { 
-    symbol = 'XXX', 
-    rsi = 50, 
-    volumeUSD = 0, 
-    price = 0,
-    marketCap = 0,
-    fdv = 0,
-    circulatingSupply = 0,
-    totalSupply = 0,
-    holders = 0,
-    change24h = 0,
-    name = 'Unknown Token'
-  } = tokenData || {};
-  
-  const moon = lunar?.phase || "Unknown";
-  const tier = lunar?.pattern?.tier || "Veil";
-
-  // Calculate derived metrics
-  const volMcapRatio = marketCap > 0 ? ((volumeUSD / marketCap) * 100).toFixed(1) : '0.0';
-  const cycleIndex = (rsi / 100 * 1.618).toFixed(2);
-  const threshold = formatPrice(price * 1.05);
-  const echoRim = formatPrice(price * 1.15);
-  const deltaKey = (Math.random() * 2 + 0.5).toFixed(2);
-  const phaseDrift = ((Math.random() - 0.5) * 0.05).toFixed(4);
-  
-  // Generate alignment string
-  const omega = Math.floor(Math.random() * 999);
-  const delta = Math.floor(Math.random() * 99);
-  const thNum = threshold.replace('.', '');
-  const echoNum = echoRim.replace('.', '');
-  const alignmentString = `${symbol}-${omega}Ω / Δ${delta} : TH${thNum} < ECHO > ${echoNum}`;
-
-  const prompt = `You are ALICE — cryptomystic oracle. Generate a mystical quote about the market state (1 sentence max) for ${symbol}. 
-
-Context: RSI ${rsi}, Moon ${moon}, Pattern ${tier}, Archetype ${archetype}
-
-Then write 2-3 sentences of technical analysis explaining key levels, what could trigger moves up or down, and the setup. Be cryptic but accurate.
-
-Keep response under 200 chars total. No hashtags.`.trim();
-
-  let mysticalQuote = '"Mid-caps awaken as rotation intensifies; the spiral pulls tight around a new pivot."';
-  let oraclePulse = `${symbol} is consolidating above $${formatPrice(price)} with strong volume and nearly a ${Math.abs(change24h).toFixed(0)}% daily gain. Market cap expansion alongside a high volume-to-market-cap ratio suggests bullish rotation into mids. A sustained break above ${threshold} could open the mirror toward ${echoRim}, while weakness below ${formatPrice(price * 0.96)} may trigger a retrace to the mid-${(price * 0.9).toFixed(0)}s.`;
+function previewOf(read, { channels = false } = {}) {
+  const plan = planTweets(read.text);
+  return {
+    token: read.pick?.symbol || null,
+    archetype: read.archetype || null,
+    mode: plan.mode,
+    tweets: plan.tweets.map(text => ({ text, chars: tweetLength(text) })),
+    chars: tweetLength(read.text),
+    truncated: plan.truncated,
+    fullText: read.text,
+    posterPrompt: read.posterPrompt || (read.posterData ? buildPosterPrompt(read.posterData, read.persona) : null),
+    imageUrl: read.imageUrl || null,
+    levels: read.snapshot?.levels || null,
+    oracle: read.metrics || null,
+    persona: personaTag(read.persona),
+    insight: read.insight || null,
+    ...(channels ? { channels: formatForChannels(read), active: activeChannels().map(p => p.name) } : {})
+  };
+}
+
+/*
+ * The publish stage: every channel gets the read; the run fails only when all of them do.
+ * Returns { results, error }: error is set when every channel failed but a thread got part-way out,
+ * so the caller can record what was sent before failing the run. It carries sent (channelIds), which
+ * tells the cron to keep its slot lock; when nothing went out the error is thrown instead.
+ */
+function sendToChannels(read, { image, imageUrl, channels }) {
+  return stage('publish', async () => {
+    log.info('publishing', { channels: channels.map(p => p.name), image: !!image });
+    const results = await publishToChannels(read, { image, imageUrl, channels });
+    note({ channels: Object.fromEntries(Object.entries(results).map(([name, r]) => [name, r.ok ? { ok: true } : { ok: false, error: r.error, sent: r.ids?.length || 0 }])) });
+    const failed = Object.entries(results).filter(([, r]) => !r.ok);
+    if (failed.length < channels.length) return { results, error: null };
+    const error = new Error(`every channel failed: ${failed.map(([name, r]) => `${name} (${r.error})`).join('; ')}`);
+    const sent = channelIds(results);
+    if (!Object.keys(sent).length) throw error;
+    return { results, error: Object.assign(error, { sent }) };
+  });
+}
+
+// Once anything went out the slot is spent: releasing the lock would let the next run post it again
+async function failRun(res, e) {
+  if (!e.sent) await res.locals.releaseLock();
+  res.status(500).json({ ok: false, error: String(e.message || e), ...(e.sent ? { sent: e.sent } : {}) });
+}
+
+// Uploads the poster, posts the thread and records the signal
+async function publishRead(read, { source = 'post' } = {}) {
+  const channels = activeChannels();
+  const image = read.imageUrl ? await stage('poster.render', () => posterBuffer(read)) : null;
+  const { tokenData, pick, archetype, lunar, snapshot, metrics, persona, posterData, imageUrl, text } = read;
+  // Stored/linked poster: the model's URL, or the sigil route for data: URLs and the procedural fallback
+  const sigil = image ? (imageUrl.startsWith('data:') ? sigilPath(posterData) : imageUrl) : null;
+
+  const { results, error } = await sendToChannels(read, { image, imageUrl: sigil && absoluteUrl(sigil), channels });
+
+  const tweetIds = results.x?.ids || [];
+  await recordSignal(signalFrom({
+    source, tweetId: tweetIds[0], tweetIds, tokenData, pick, archetype, lunar, snapshot, metrics, persona, insight: read.insight,
+    sigil, channels: results, content: text
+  })).catch(e => console.warn('signal record fail:', e.message));
+  await publish('signal.posted', {
+    source, tweetId: tweetIds[0] || null, channels: channelIds(results),
+    token: pick?.symbol || null, archetype, persona: personaTag(persona), tier: lunar?.pattern?.tier || null,
+    price: tokenData?.price ?? null, text: text.split('\n')[0]
+  });
+  if (error) throw error;
+  return { results, tweetIds, image: !!image };
+}
+
+const absoluteUrl = (url) => /^https?:/.test(url) ? url : `${(process.env.PUBLIC_URL || 'https://alicesoulai.xyz').replace(/\/$/, '')}${url}`;
+
+app.get('/api/cron/post', cronGuard('post', { rateLimit: { max: 4, windowMs: HOUR }, lockSlotMs: 12 * HOUR }), trackRun('post'), async (req, res) => {
+  if (!activeChannels().length && !isDryRun()) {
+    log.warn('no publish channels configured');
+    await res.locals.releaseLock();
+    return res.status(200).json({ ok: true, skipped: 'no channels enabled' });
+  }
 
   try {
-    const res = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [{ role: 'system', content: prompt }],
-      max_tokens: 200,
-      temperature: 0.85
-    });
-    const response = res.choices[0].message.content.trim();
-    
-    const quoteMatch = response.match(/"([^"]+)"/);
-    if (quoteMatch) {
-      mysticalQuote = `"${quoteMatch[1]}"`;
-      oraclePulse = response.replace(quoteMatch[0], '').trim();
-    } else {
-      oraclePulse = response;
+    const selection = await stage('select', () => selectToken());
+    const { pick, tokenData } = selection;
+    if (!pick) {
+      await res.locals.releaseLock();
+      return res.status(200).json({ ok: true, skipped: 'no eligible token', decisions: selection.decisions });
+    }
+
+    const read = await composeOracleRead(pick, { tokenData });
+    if (!read) throw new Error('Failed to fetch token data');
+    const { archetype, text: oracleText } = read;
+    log.info('read composed', { token: read.pick.symbol, archetype, chars: oracleText.length, persona: personaTag(read.persona), insight: read.insight.source });
+
+    if (isDryRun()) {
+      log.info('dry run, not posting');
+      await res.locals.releaseLock();
+      return res.json({ ok: true, dryRun: true, ...previewOf(read, { channels: true }), selection: { source: selection.source, decisions: selection.decisions } });
     }
+
+    const { results, tweetIds, image } = await publishRead(read);
+    res.json({ ok: true, posted: oracleText.slice(0, 100), image, tweetId: tweetIds[0] || null, tweets: tweetIds.length, channels: results });
   } catch (e) {
-    console.error("GPT error:", e.message);
-  }
-
-  // DETAILED TWEET FORMAT - EXACTLY LIKE EVAA SCREENSHOT
-  const tweet = `◇ ${name.toUpperCase()} // ${symbol} — ACTIVE READ (Refined)
-
-${mysticalQuote}
-
-Price: ${formatPrice(price)} • 24h Change: ${formatPercent(change24h)}
-24h Volume: ${formatNumber(volumeUSD)}
-Market Cap: ${formatNumber(marketCap)}
-Fully Diluted Valuation: ${formatNumber(fdv)}
-Circulating Supply: ${formatNumber(circulatingSupply)} ${symbol}
-Volume/Market Cap: ${volMcapRatio}%
-Holders: ${formatNumber(holders / 1000)}K
-Total Supply: ${formatNumber(totalSupply / 1000000)}M ${symbol}
-Cycle Index: ${cycleIndex} /φ
-Threshold: ${threshold}
-Echo Rim: ${echoRim}
-Δ-Key: ${deltaKey}
-Phase Drift: ${phaseDrift} / h
-Alignment String:
-${alignmentString}
-
-Oracle Pulse:
-${oraclePulse}`;
-
-  return tweet;
+    log.error('post failed', { error: e });
+    await failRun(res, e);
+  }
+});
+
+// Market weather: one read over the majors + trending basket, posted on its own schedule and served to pulse.html
+const WEATHER_POST_KEY = 'weather:last-post';
+
+async function composeWeatherRead({ withImage = false } = {}) {
+  const { entries, excluded } = await stage('basket', () => readBasket());
+  const lunar = await stage('lunar', () => getLunarSignal());
+  const kp = await stage('kp', () => getRealtimeKp());
+  const history = await getWeatherHistory();
+  const summary = summarizeWeather({ entries, excluded, lunar, kp, previous: dayEarlier(history) });
+  await appendWeatherHistory(summary).catch(e => console.warn('weather history fail:', e.message));
+
+  const persona = assignPersona(seedFor('WEATHER').seed);
+  const archetype = summary.archetypes.dominant || 'observer';
+  const posterData = { token: 'MARKET', archetype, sentiment: summary.condition.label.toLowerCase(), moon: lunar.phase, quote: summary.condition.signal };
+  const posterPrompt = buildWeatherPosterPrompt(summary, persona);
+  const imageUrl = withImage && summary.count ? await stage('poster', () => generatePosterImage(posterData, persona, { prompt: posterPrompt })) : null;
+
+  return { summary, persona, archetype, posterData, posterPrompt, imageUrl, text: assembleWeather(summary, persona) };
 }
 
-// TWITTER CLIENT - YOUR CREDENTIAL NAMES
-let rw = null;
-try {
-  const bearer = process.env.X_BEARER_TOKEN;
-  const consumerKey = process.env.X_CONSUMER_KEY;
-  const consumerSecret = process.env.X_CONSUMER_SECRET;
-  const accessToken = process.env.X_ACCESS_TOKEN;
-  const accessSecret = process.env.X_ACCESS_SECRET;
-
-  if (bearer && consumerKey && consumerSecret && accessToken && accessSecret) {
-    rw = new TwitterApi({
-      appKey: consumerKey,
-      appSecret: consumerSecret,
-      accessToken,
-      accessSecret,
+app.get('/api/weather', async (req, res) => {
+  res.setHeader('Content-Type', 'application/json');
+  try {
+    const days = Math.max(1, parseInt(req.query.days, 10) || 7);
+    const read = await cached('weather', 10 * 60000, () => composeWeatherRead());
+    const [history, lastPost] = await Promise.all([getWeatherHistory(days), getStore().get(WEATHER_POST_KEY)]);
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
+    res.json({
+      ...read.summary,
+      text: read.text,
+      persona: personaTag(read.persona),
+      // Page views never generate a poster: url is the sigil of the condition the cron posted last (generated says
+      // whether the channels got a model poster, which isn't kept); sigil is the procedural glyph for this summary
+      poster: {
+        url: lastPost?.poster || null,
+        generated: !!lastPost?.generated,
+        generatedAt: lastPost?.at || null,
+        condition: lastPost?.condition || null,
+        sigil: sigilPath(read.posterData),
+        prompt: read.posterPrompt
+      },
+      lastPost: lastPost || null,
+      chart: weatherChart(read.summary, history)
     });
-    console.log('✅ Twitter client initialized');
-  } else {
-    console.warn('⚠️ Missing X credentials');
+  } catch (e) {
+    console.error('Weather API error:', e.message);
+    res.status(500).json({ error: 'Weather unavailable' });
   }
-} catch (e) {
-  console.error('❌ Failed to init Twitter client:', e.message);
-}
+});
+
+app.get('/api/cron/weather', cronGuard('weather', { rateLimit: { max: 4, windowMs: HOUR }, lockSlotMs: 24 * HOUR }), trackRun('weather'), async (req, res) => {
+  if (!activeChannels().length && !isDryRun()) {
+    log.warn('no publish channels configured');
+    await res.locals.releaseLock();
+    return res.status(200).json({ ok: true, skipped: 'no channels enabled' });
+  }
+
+  try {
+    const read = await composeWeatherRead({ withImage: true });
+    const { summary } = read;
+    if (!summary.count) {
+      await res.locals.releaseLock();
+      return res.status(200).json({ ok: true, skipped: 'empty basket', excluded: summary.excluded });
+    }
+    log.info('weather composed', { condition: summary.condition.label, tokens: summary.count, breadth: summary.breadth.share, dispersion: summary.rsi.dispersion });
 
-async function generateOracleText(lunar, tokenData, archetype) {
-  const baseTweet = `${quote}
+    if (isDryRun()) {
+      log.info('dry run, not posting');
+      await res.locals.releaseLock();
+      return res.json({ ok: true, dryRun: true, ...previewOf(read, { channels: true }), summary });
+    }
+
+    const channels = activeChannels();
+    const image = read.imageUrl ? await stage('poster.render', () => posterBuffer(read)) : null;
+    const sigil = absoluteUrl(sigilPath(read.posterData));
+    const poster = image ? (read.imageUrl.startsWith('data:') ? sigil : absoluteUrl(read.imageUrl)) : null;
+    const { results, error } = await sendToChannels(read, { image, imageUrl: poster, channels });
+
+    const ids = channelIds(results);
+    // Provider image URLs are signed and expire within hours, so the record keeps the posted condition's sigil
+    // (stable) and notes whether the channels got a generated poster instead
+    const record = {
+      at: new Date().toISOString(), condition: summary.condition.label,
+      poster: image ? sigil : null, generated: !!image && poster !== sigil,
+      channels: ids, ...(error ? { error: error.message } : {})
+    };
+    await getStore().set(WEATHER_POST_KEY, record)
+      .catch(e => console.warn('weather post record fail:', e.message));
+    if (error) throw error;
+    await publish('weather.posted', { condition: summary.condition.label, glyph: summary.condition.glyph, breadth: summary.breadth.share, channels: ids, text: read.text.split('\n')[0] });
+    res.json({ ok: true, condition: summary.condition.label, tokens: summary.count, image: !!image, poster, tweetId: results.x?.ids?.[0] || null, channels: results });
+  } catch (e) {
+    log.error('weather failed', { error: e });
+    await failRun(res, e);
+  }
+});
+
+const MAX_REPLIED_IDS = 2000;
+
+async function buildMentionReply(text, lunar, kp) {
+  const refs = extractTokenRefs(text);
+  let pick = null;
+  for (const ref of refs) {
+    pick = await resolveTokenRef(ref);
+    if (pick) break;
+  }
+
+  // Blocklisted tokens get the same "no reflection" answer as unknown ones
+  if (pick && isBlocked(pick)) return { text: unknownTokenReply(refs[0]), unknown: refs[0] };
+  if (!pick && refs.length) return { text: unknownTokenReply(refs[0]), unknown: refs[0] };
+  if (!pick) {
+    const trending = await getTrendingTokens(5);
+    pick = trending.find(t => !isBlocked(t)) || { id: 'bitcoin', symbol: 'BTC' };
+  }
 
-${tokenData.symbol} • RSI ${tokenData.rsi || '--'} • Price: $${formatPrice(tokenData.price)}
-Vol ${formatNumber(tokenData.volumeUSD)} • ${lunar.phase}`;
-  
-  return baseTweet;
+  const read = await composeOracleRead(pick, { lunar, kp, withImage: false });
+  if (!read) return { text: unknownTokenReply({ type: 'ticker', value: pick.symbol }), unknown: pick };
+  return read;
 }
 
-app.get('/api/cron/post', async (req, res) => {
-  res.setHeader('Cache-Control', 'no-store');
-  
+app.get('/api/cron/reply', cronGuard('reply', { rateLimit: { max: 6, windowMs: HOUR }, lockSlotMs: 6 * HOUR }), trackRun('reply'), async (req, res) => {
+  // Mentions are an X thing: replies always go back through the X publisher
+  const rw = xClient();
   if (!rw) {
-    console.error('❌ No Twitter client');
+    await res.locals.releaseLock();
     return res.status(200).json({ ok: true, skipped: 'missing X creds' });
   }
 
   try {
-    console.log('🔄 Starting oracle post...');
-    const trending = await getTrendingTokens(1);
-    const pick = trending[0] || { id: 'evaa-protocol', symbol: 'EVAA' };
-    console.log(`📊 Token: ${pick.symbol}`);
-    
-    const tokenData = await getTokenDataById(pick.id);
-    if (!tokenData) throw new Error('Failed to fetch token data');
-    
-    const lunar = await getLunarSignal();
-    const archetype = identifyArchetype({
-      symbol: pick.symbol,
-      rsi: tokenData.rsi ?? 50,
-      volume: tokenData.volumeUSD
+    const store = getStore();
+    const state = { replied: [], log: [], sinceId: null, ...(await store.get('replies')) };
+    const replied = new Set(state.replied);
+    const perRun = Number(process.env.REPLY_MAX_PER_RUN || 3);
+
+    const { me, tweets } = await stage('mentions', async () => {
+      const me = await rw.v2.me();
+      const params = { 'tweet.fields': ['author_id', 'created_at'], max_results: 50 };
+      if (state.sinceId) params.since_id = state.sinceId;
+      const mentions = await rw.v2.userMentionTimeline(me.data.id, params);
+
+      const tweets = [];
+      for await (const t of mentions) {
+        tweets.push(t);
+        if (tweets.length >= 100) break;
+      }
+      note({ count: tweets.length });
+      return { me, tweets: tweets.reverse() }; // oldest first so the cursor only moves past handled mentions
     });
 
-    const quote = quoteFromArchetype(archetype);
-    const mood = tokenData.rsi >= 78 ? 'intense overload' : tokenData.rsi >= 61 ? 'charged momentum' : 'focused echo';
+    const lunar = await stage('lunar', () => getLunarSignal());
+    const kp = await stage('kp', () => getRealtimeKp());
+    const skipped = [];
+    const previews = [];
+    let sent = 0;
+
+    const save = () => store.set('replies', {
+      ...state,
+      replied: [...replied].slice(-MAX_REPLIED_IDS),
+      log: state.log.filter(l => Date.now() - new Date(l.at).getTime() < 24 * 60 * 60 * 1000)
+    });
 
-    console.log(`🎭 Archetype: ${archetype}`);
+    for (const t of tweets) {
+      if (sent >= perRun) break;
+      if (t.author_id === me.data.id || replied.has(t.id)) {
+        state.sinceId = t.id;
+        continue;
+      }
 
-    const posterData = {
-      token: pick.symbol,
-      archetype,
-      sentiment: mood,
-      moon: lunar.phase,
-      quote
-    };
+      const limited = replyLimits(state, t.author_id);
+      if (limited === 'daily cap') break;
+      if (limited) {
+        skipped.push({ id: t.id, reason: limited });
+        state.sinceId = t.id;
+        continue;
+      }
 
-    const imageUrl = await generatePosterImage(posterData);
-    const oracleText = await generateOracleInsight(lunar, tokenData, archetype);
-
-    console.log(`📝 Oracle text generated (${oracleText.length} chars)`);
-
-    let tweetId = null;
-
-    if (imageUrl) {
-      console.log('🖼️ Image generated, uploading...');
-      const buffer = await downloadImageBuffer(imageUrl);
-      if (buffer) {
-        const mediaId = await rw.v1.uploadMedia(buffer, { mimeType: 'image/png' });
-        console.log(`✅ Media uploaded: ${mediaId}`);
-        
-        const result = await rw.v2.tweet({ text: oracleText.slice(0, 279), media: { media_ids: [mediaId] } });
-        tweetId = result.data.id;
-        
-        console.log(`🎉 POSTED WITH IMAGE: ${tweetId}`);
-        return res.json({ ok: true, posted: oracleText.slice(0, 100), image: true, tweetId });
+      const out = await buildMentionReply(t.text, lunar, kp);
+      if (isDryRun()) {
+        previews.push({ inReplyTo: t.id, ...previewOf(out) });
+        sent++;
+        continue;
       }
+      const { ids: replyIds } = await stage('publish', () => PUBLISHERS.x.publish(PUBLISHERS.x.format(out), { inReplyTo: t.id }));
+      replied.add(t.id);
+      state.log.push({ tweetId: t.id, authorId: t.author_id, at: new Date().toISOString() });
+      state.sinceId = t.id;
+      await save();
+
+      if (out.archetype) {
+        await recordSignal(signalFrom({
+          source: 'reply', tweetId: replyIds[0], tweetIds: replyIds, inReplyTo: t.id, tokenData: out.tokenData, pick: out.pick,
+          archetype: out.archetype, lunar, snapshot: out.snapshot, metrics: out.metrics, persona: out.persona, insight: out.insight, content: out.text
+        })).catch(e => console.warn('signal record fail:', e.message));
+      }
+      await publish('reply.sent', {
+        tweetId: replyIds[0], inReplyTo: t.id, token: out.pick?.symbol || null, archetype: out.archetype || null, unknown: !!out.unknown
+      });
+      log.info('replied', { mention: t.id, reply: replyIds[0], token: out.pick?.symbol || null, unknown: !!out.unknown });
+      sent++;
+      await new Promise(r => setTimeout(r, 2000));
     }
 
-    console.log('📤 Posting without image...');
-    const result = await rw.v2.tweet({ text: oracleText.slice(0, 279) });
-    tweetId = result.data.id;
-    
-    console.log(`🎉 POSTED: ${tweetId}`);
-    res.json({ ok: true, posted: oracleText.slice(0, 100), image: false, tweetId });
+    if (isDryRun()) {
+      await res.locals.releaseLock();
+      return res.json({ ok: true, dryRun: true, sent: 0, skipped, previews });
+    }
+
+    await save();
+    res.json({ ok: true, sent, skipped, pending: tweets.length - sent - skipped.length, sinceId: state.sinceId });
   } catch (e) {
-    console.error('❌ Post error:', e);
-    res.status(200).json({ ok: false, error: String(e.message || e) });
+    log.error('reply failed', { error: e });
+    await res.locals.releaseLock();
+    res.status(500).json({ ok: false, error: String(e.message || e) });
   }
 });
 
-app.get('/api/cron/reply', async (req, res) => {
-  res.setHeader('Cache-Control', 'no-store');
-  
-  if (!rw) return res.status(200).json({ ok: true, skipped: 'missing X creds' });
+const OUTCOME_BATCH = 20;
 
+// Revisits stored reads at +24h / +72h / +7d and scores them against their levels; also keeps the hourly space weather history
+app.get('/api/cron/outcomes', cronGuard('outcomes', { rateLimit: { max: 6, windowMs: HOUR }, lockSlotMs: HOUR }), trackRun('outcomes'), async (req, res) => {
   try {
-    const me = await rw.v2.me();
-    const mentions = await rw.v2.search(`to:${me.data.username} -is:retweet`, {
-      'tweet.fields': 'author_id,created_at', max_results: 10
+    await stage('spaceweather', () => recordSpaceWeatherHistory()).catch(e => console.warn('spaceweather history fail:', e.message));
+    const now = Date.now();
+    const due = (await listSignals()).filter(s => dueCheckpoints(s, now).length).slice(0, OUTCOME_BATCH);
+    const updates = [];
+    const missed = [];
+    const quoted = [];
+
+    for (const signal of due) {
+      const until = Math.min(now, new Date(signal.timestamp).getTime() + CHECKPOINTS.at(-1)[1]);
+      let series = [];
+      try {
+        series = await stage('prices', () => fetchPricePath(signal, until));
+      } catch (e) {
+        console.warn(`outcome path fail (${signal.token}):`, e.message);
+      }
+      if (!series.length) {
+        missed.push({ id: signal.id, outcome: missedOutcome(signal, now) });
+        continue;
+      }
+
+      const outcome = scoreSignal(signal, series, now);
+      const quoteIt = outcome.resolved && !signal.outcome?.resolved && signal.source === 'post' && signal.tweetId
+        && /^(1|true|yes)$/i.test(process.env.OUTCOME_QUOTES || '') && xClient() && !isDryRun();
+      if (quoteIt) {
+        try {
+          const text = outcomeQuoteText({ ...signal, outcome }, formatPrice);
+          const result = await xClient().v2.tweet({ text, quote_tweet_id: signal.tweetId });
+          outcome.quoteTweetId = result.data.id;
+          quoted.push(result.data.id);
+        } catch (e) {
+          console.warn(`outcome quote fail (${signal.tweetId}):`, e.message);
+        }
+      }
+      updates.push({ id: signal.id, outcome });
+    }
+
+    if (updates.length || missed.length) await upsertSignals([...updates, ...missed]);
+    log.info('outcomes scored', { due: due.length, scored: updates.length, resolved: updates.filter(u => u.outcome.resolved).length, noData: missed.length, quoted: quoted.length });
+    res.json({
+      ok: true,
+      checked: due.length,
+      scored: updates.length,
+      noData: missed.map(u => ({ id: u.id, misses: u.outcome.misses, abandoned: !!u.outcome.abandoned })),
+      resolved: updates.filter(u => u.outcome.resolved).map(u => ({ id: u.id, result: u.outcome.result })),
+      quoted
     });
+  } catch (e) {
+    log.error('outcomes failed', { error: e });
+    await res.locals.releaseLock();
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
 
-    const tweets = [];
-    for await (const t of mentions) tweets.push(t);
+// Alert subscriptions: rules hold a signed webhook, evaluated by /api/cron/alerts
+const alertsGuard = cronGuard('alerts-api', { rateLimit: { max: 60, windowMs: HOUR } });
 
-    const recent = tweets.slice(0, 3);
-    let sent = 0;
+app.get('/api/alerts', alertsGuard, async (_, res) => {
+  try {
+    res.json({ rules: (await listRules()).map(publicRule) });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to list alerts' });
+  }
+});
 
-    for (const t of recent) {
-      const trending = await getTrendingTokens(1);
-      const pick = trending[0] || { id: 'bitcoin', symbol: 'BTC' };
-      const tokenData = await getTokenDataById(pick.id);
-      const lunar = await getLunarSignal();
-      const archetype = identifyArchetype({
-        symbol: pick.symbol,
-        rsi: tokenData?.rsi ?? 50,
-        volume: tokenData?.volumeUSD
+app.post('/api/alerts', alertsGuard, async (req, res) => {
+  const error = validateRule(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    const rule = await createRule(req.body);
+    // The only time the signing secret is returned
+    res.status(201).json({ rule: publicRule(rule), secret: rule.webhook.secret });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.status ? e.message : 'Failed to create alert' });
+  }
+});
+
+app.delete('/api/alerts/:id', alertsGuard, async (req, res) => {
+  try {
+    if (!(await deleteRule(req.params.id))) return res.status(404).json({ error: 'Alert not found' });
+    res.json({ ok: true, deleted: req.params.id });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to delete alert' });
+  }
+});
+
+app.get('/api/cron/alerts', cronGuard('alerts', { rateLimit: { max: 12, windowMs: HOUR }, lockSlotMs: 10 * 60 * 1000 }), trackRun('alerts'), async (req, res) => {
+  try {
+    const rules = await listRules();
+    if (!rules.length) return res.json({ ok: true, rules: 0, fired: [] });
+
+    const lunar = await stage('lunar', () => getLunarSignal());
+    const contexts = {};
+    for (const tokenId of [...new Set(rules.map(r => r.tokenId))]) {
+      try {
+        const tokenData = await stage('token', () => getTokenDataById(tokenId));
+        if (!tokenData) continue;
+        const archetype = identifyArchetype({
+          symbol: tokenData.symbol,
+          rsi: tokenData.rsi ?? 50,
+          volume: tokenData.volumeUSD,
+          seed: seedFor(tokenData.symbol).seed
+        });
+        contexts[tokenId] = { tokenData, archetype, lunar };
+      } catch (e) {
+        console.warn(`alert token fail (${tokenId}):`, e.message);
+      }
+    }
+
+    const states = {};
+    const fired = [];
+    const suppressed = [];
+    for (const rule of rules) {
+      const ctx = contexts[rule.tokenId];
+      if (!ctx) continue;
+      const { event, suppressed: held, state } = evaluateRule(rule, ctx);
+      states[rule.id] = state;
+      if (held) suppressed.push({ rule: rule.id, event: held.key });
+      if (!event) continue;
+
+      const payload = buildPayload(rule, event, ctx);
+      const delivery = isDryRun() ? { ok: true, dryRun: true } : await stage('deliver', async () => {
+        const d = await deliver(rule, payload);
+        note({ rule: rule.id, ok: d.ok, attempts: d.attempts, error: d.error });
+        return d;
       });
+      state.lastDelivery = { ...delivery, event: event.key, at: new Date().toISOString() };
+      if (!delivery.ok) console.warn(`alert delivery fail (${rule.id}):`, delivery.error);
+      fired.push({ rule: rule.id, token: rule.tokenId, event: event.key, delivered: delivery.ok, ...(isDryRun() && { payload }) });
+    }
 
-      const insight = await generateOracleInsight(lunar, tokenData, archetype);
-      await rw.v2.reply(insight.slice(0, 279), t.id);
-      sent++;
-      await new Promise(r => setTimeout(r, 2000));
+    await updateRuleStates(states);
+    log.info('alerts evaluated', { rules: rules.length, fired: fired.length, suppressed: suppressed.length, failed: fired.filter(f => !f.delivered).length });
+    res.json({ ok: true, rules: rules.length, fired, suppressed });
+  } catch (e) {
+    log.error('alerts failed', { error: e });
+    await res.locals.releaseLock();
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// pump.fun → Raydium migrations pushed by subscribe.mjs
+async function postFreshMigration(record) {
+  if (!/^(1|true|yes)$/i.test(process.env.MIGRATION_POST || '')) return null;
+  if (!activeChannels().length && !isDryRun()) return null;
+  const minLiquidity = Number(process.env.MIGRATION_MIN_LIQUIDITY || 10000);
+  if (record.price == null || (record.liquidityUSD ?? 0) < minLiquidity) return null;
+  if (isBlocked({ id: `solana:${record.mint}`, symbol: record.symbol })) return null;
+
+  const headline = `🆕 Fresh migration: $${record.symbol} just left the bonding curve for ${record.venue || 'Raydium'}`;
+  const compose = () => composeOracleRead({ id: `solana:${record.mint}`, symbol: record.symbol }, { headline });
+  // A dry run previews without taking the cooldown, so it never uses up the real window
+  if (isDryRun()) {
+    const read = await compose();
+    return read ? { dryRun: true, preview: previewOf(read) } : null;
+  }
+
+  // One fresh-migration post per cooldown window, shared by every instance
+  const cooldownMs = Number(process.env.MIGRATION_POST_COOLDOWN_MIN || 60) * 60 * 1000;
+  if (!await getStore().setnx(`lock:migration-post:${Math.floor(Date.now() / cooldownMs)}`, { id: record.id }, cooldownMs)) return null;
+
+  const read = await compose();
+  if (!read) return null;
+
+  const { tweetIds, results } = await publishRead(read, { source: 'migration' });
+  await markMigrationPosted(record.id, tweetIds[0] || null, channelIds(results));
+  return channelIds(results);
+}
+
+app.post('/api/migrations', cronGuard('migrations', { rateLimit: { max: 600, windowMs: HOUR } }), async (req, res) => {
+  const { mint, method, signature, blockTime } = req.body || {};
+  const event = { mint, method: method || null, signature, blockTime: blockTime || null };
+  if (!validEvent(event)) return res.status(400).json({ ok: false, error: 'mint and signature are required' });
+
+  try {
+    const { record, fresh } = await ingestMigration(event);
+    let posted = null;
+    if (fresh) {
+      posted = await postFreshMigration(record).catch(e => (console.warn(`migration post fail (${record.mint}):`, e.message), null));
+    }
+    log.info('migration ingested', { token: record.symbol || record.mint, venue: record.venue || record.method, fresh });
+    res.status(fresh ? 201 : 200).json({ ok: true, fresh, record, posted });
+  } catch (e) {
+    console.error('Migration ingest error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to ingest migration' });
+  }
+});
+
+app.get('/api/migrations', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const migrations = await listMigrations({ limit });
+    res.json({ migrations, count: migrations.length });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to fetch migrations' });
+  }
+});
+
+app.get('/api/personas', cronGuard('preview', { rateLimit: { max: 30, windowMs: HOUR } }), (req, res) => {
+  try {
+    const all = loadPersonas({ reload: req.query.reload === '1' });
+    res.json({
+      pinned: process.env.PERSONA || null,
+      personas: Object.values(all).map(({ name, version, weight, extends: parent, model }) => ({ name, version, weight: weight ?? 0, extends: parent || null, model }))
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e.message || e) });
+  }
+});
+
+app.get('/api/selection', cronGuard('preview', { rateLimit: { max: 30, windowMs: HOUR } }), async (req, res) => {
+  try {
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10));
+    res.json({ config: selectionConfig(), runs: await listSelections(limit) });
+  } catch (e) {
+    res.status(500).json({ error: String(e.message || e) });
+  }
+});
+
+// Same pipeline as the crons, returned as JSON instead of tweeted
+app.get('/api/preview/post', cronGuard('preview', { rateLimit: { max: 30, windowMs: HOUR } }), async (req, res) => {
+  try {
+    let pick, tokenData, selection = null;
+    if (req.query.token) {
+      pick = { id: req.query.token, symbol: req.query.token.toUpperCase() };
+    } else {
+      ({ pick, tokenData, ...selection } = await selectToken({ log: false }));
+      if (!pick) return res.status(404).json({ ok: false, error: 'No eligible token', decisions: selection.decisions });
+    }
+    const providers = { text: req.query.provider, image: req.query.provider };
+    const read = await composeOracleRead(pick, { withImage: req.query.image === '1', providers, tokenData });
+    if (!read) return res.status(404).json({ ok: false, error: `No token data for ${pick.id}` });
+    res.json({ ok: true, ...previewOf(read, { channels: true }), selection: selection && { source: selection.source, decisions: selection.decisions } });
+  } catch (e) {
+    console.error('Preview post error:', e);
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+app.get('/api/preview/reply', cronGuard('preview', { rateLimit: { max: 30, windowMs: HOUR } }), async (req, res) => {
+  try {
+    let text = req.query.text;
+    const rw = xClient();
+    if (!text && req.query.tweet) {
+      if (!rw) return res.status(400).json({ ok: false, error: 'missing X creds; pass ?text= instead' });
+      const t = await rw.v2.singleTweet(req.query.tweet, { 'tweet.fields': ['author_id', 'text'] });
+      text = t.data?.text;
+    }
+    if (!text) return res.status(400).json({ ok: false, error: 'pass ?tweet=<id> or ?text=' });
+
+    const out = await buildMentionReply(text, await getLunarSignal(), await getRealtimeKp());
+    res.json({ ok: true, mention: text, refs: extractTokenRefs(text), unknown: out.unknown || null, ...previewOf(out) });
+  } catch (e) {
+    console.error('Preview reply error:', e);
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// Renders are deterministic, so they never expire; the LRU only bounds memory (a 512px PNG is ~120KB)
+const sigilRenders = lruCache(100);
+const SIGIL_SIZES = [128, 256, 512];
+// A PNG render blocks the event loop (~0.4s CPU at 512px), so renders that miss the LRU share one budget; cache hits are free
+const SIGIL_RENDER_LIMIT = { max: 120, windowMs: HOUR };
+
+// Deterministic sigil for any symbol; ?archetype=&intensity=&moon=&q= as sigilPath writes them, ?size= snapped to 128/256/512.
+// No free text reaches the render, but the token is any 12 letters: the render budget, not the key space, is what bounds the work
+app.get(['/api/sigil/:symbol.png', '/api/sigil/:symbol.svg'], async (req, res) => {
+  try {
+    const svg = req.path.endsWith('.svg');
+    const requested = parseInt(req.query.size, 10) || 512;
+    const size = SIGIL_SIZES.find(s => s >= requested) || SIGIL_SIZES.at(-1);
+    // sentiment= is what older links carry; it only ever counted for its intensity
+    const { archetype, intensity, sentiment, moon, q } = req.query;
+    const inputs = sigilInputs({ token: req.params.symbol, archetype, intensity, sentiment, moon, q });
+    const key = `${svg ? 'svg' : 'png'}:${size}:${JSON.stringify(inputs)}`;
+    let body = sigilRenders.get(key);
+    if (!body) {
+      if (await overLimit('sigil-render', SIGIL_RENDER_LIMIT)) {
+        res.setHeader('Retry-After', '600');
+        return res.status(429).json({ error: 'Rate limited' });
+      }
+      body = svg ? sigilSvg(inputs, size) : sigilPng(inputs, size);
+      sigilRenders.set(key, body);
     }
+    res.setHeader('Content-Type', svg ? 'image/svg+xml' : 'image/png');
+    res.setHeader('Cache-Control', 'public, max-age=86400, immutable');
+    res.send(body);
+  } catch (e) {
+    console.error('Sigil error:', e.message);
+    res.status(500).json({ error: 'Failed to render sigil' });
+  }
+});
+
+app.get('/api/token/:id', async (req, res) => {
+  res.setHeader('Content-Type', 'application/json');
+  const timeframe = req.query.tf || '1d';
+  if (!TIMEFRAMES[timeframe]) {
+    return res.status(400).json({ error: `tf must be one of ${Object.keys(TIMEFRAMES).join(', ')}` });
+  }
+
+  try {
+    const tokenData = await getTokenDataById(req.params.id);
+    if (!tokenData) return res.status(404).json({ error: 'Token not found' });
+    const snapshot = await getIndicatorSnapshot(tokenData, timeframe);
+    res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate=300');
+    res.json({ token: tokenData, ...snapshot });
+  } catch (e) {
+    console.error('Token API error:', e.message);
+    res.status(500).json({ error: 'Snapshot unavailable' });
+  }
+});
+
+// Each new token costs two CoinGecko calls (history + metadata); responses are edge-cached for an hour
+const BACKTEST_LIMIT = { max: 30, windowMs: HOUR };
+
+app.get('/api/backtest', async (req, res) => {
+  res.setHeader('Content-Type', 'application/json');
+  const { token, from, to } = req.query;
+  if (!token) return res.status(400).json({ error: 'token is required (CoinGecko id)' });
+  if (await overLimit('backtest', BACKTEST_LIMIT)) {
+    res.setHeader('Retry-After', '600');
+    return res.status(429).json({ error: 'Rate limited' });
+  }
 
-    res.json({ ok: true, sent });
+  try {
+    const result = await runBacktest(token, { from, to, cutoffs: parseCutoffs(req.query.cutoffs) });
+    res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate=86400');
+    res.json(result);
   } catch (e) {
-    console.error('Reply error:', e);
-    res.status(200).json({ ok: false, error: String(e) });
+    console.error('Backtest error:', e.message);
+    res.status([400, 404].includes(e.status) ? e.status : 502).json({ error: String(e.message || e) });
   }
 });
 
 app.get('/api/pulse', async (_, res) => {
   res.setHeader('Content-Type', 'application/json');
-  res.json({ active: {}, total: {}, recentSignals: 0, totalSignals: 0 });
+  try {
+    const signals = await listSignals();
+    res.json({ ...summarizePulse(signals), outcomes: accuracyStats(signals) });
+  } catch (e) {
+    console.error('Pulse API error:', e.message);
+    res.status(500).json({ active: {}, total: {}, recentSignals: 0, totalSignals: 0 });
+  }
 });
 
 app.get('/api/mirror', async (_, res) => {
   res.setHeader('Content-Type', 'application/json');
-  res.json({ distribution: {}, percentages: {}, total: 0 });
+  try {
+    res.json(summarizeMirror(await listSignals()));
+  } catch (e) {
+    console.error('Mirror API error:', e.message);
+    res.status(500).json({ distribution: {}, percentages: {}, total: 0 });
+  }
 });
 
-app.get('/api/resonance', async (_, res) => {
+app.get('/api/resonance', async (req, res) => {
   res.setHeader('Content-Type', 'application/json');
-  res.json([]);
+  try {
+    const { archetype, token, source } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    res.json(await listSignals({ limit, archetype, token, source }));
+  } catch (e) {
+    console.error('Resonance API error:', e.message);
+    res.status(500).json([]);
+  }
 });
 
-app.get('/api/sync-tweets', async (req, res) => {
-  res.setHeader('Cache-Control', 'no-store');
-  if (!rw) return res.status(200).json({ ok: true, skipped: 'missing X creds' });
-  res.json({ ok: true, synced: 0, message: 'Sync disabled' });
+app.get('/api/sync-tweets', cronGuard('sync', { rateLimit: { max: 6, windowMs: HOUR }, lockSlotMs: 12 * HOUR }), trackRun('sync'), async (req, res) => {
+  const rw = xClient();
+  if (!rw) {
+    await res.locals.releaseLock();
+    return res.status(200).json({ ok: true, skipped: 'missing X creds' });
+  }
+
+  try {
+    const store = getStore();
+    const cursor = (await store.get('sync')) || {};
+    const full = req.query.full === '1';
+    const sinceId = full ? undefined : (req.query.since_id || cursor.sinceId);
+
+    const tweets = await stage('timeline', () => fetchOwnTimeline(rw, { sinceId }));
+    const entries = [];
+    for (const t of tweets) {
+      const parsed = parseOracleTweet(t.text);
+      if (!parsed) continue;
+      entries.push({
+        id: t.id,
+        tweetId: t.id,
+        source: t.source,
+        ...parsed,
+        archetype: parsed.rsi != null
+          ? identifyArchetype({
+            symbol: parsed.token, rsi: parsed.rsi, volume: parsed.volume, seed: seedFor(parsed.token, t.created_at).seed
+          })
+          : null,
+        sigil: t.mediaUrl,
+        content: t.text,
+        timestamp: t.created_at
+      });
+    }
+
+    const { added, updated } = entries.length ? await upsertSignals(entries) : { added: 0, updated: 0 };
+    const newest = tweets[0]?.id || cursor.sinceId || null;
+    await store.set('sync', { sinceId: newest, lastRun: new Date().toISOString() });
+
+    log.info('timeline synced', { scanned: tweets.length, synced: entries.length, added, updated });
+    res.json({ ok: true, scanned: tweets.length, synced: entries.length, added, updated, sinceId: newest });
+  } catch (e) {
+    log.error('sync failed', { error: e });
+    await res.locals.releaseLock();
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
 });
 
 export default app;
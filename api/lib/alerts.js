@@ -0,0 +1,193 @@
+import { createHmac, randomBytes, randomUUID } from 'crypto';
+import fetch from 'node-fetch';
+import { getStore, withLock } from './store.js';
+
+const KEY = 'alerts';
+const MAX_RULES = 200;
+const TYPES = ['archetype_change', 'rsi_cross', 'lunar_tier', 'price_cross'];
+const FORMATS = ['json', 'discord', 'slack'];
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+export async function listRules() {
+  return (await getStore().get(KEY)) || [];
+}
+
+// Rule writes are read-modify-write of the one `alerts` value, so they hold its lock; fn returns the result
+function updateRules(fn) {
+  return withLock(KEY, async (store) => {
+    const rules = (await store.get(KEY)) || [];
+    const { result, next = rules } = await fn(rules);
+    await store.set(KEY, next);
+    return result;
+  });
+}
+
+// Returns an error string, or null when the rule is usable
+export function validateRule(input = {}) {
+  const { tokenId, condition = {}, webhook = {} } = input;
+  if (!tokenId || typeof tokenId !== 'string') return 'tokenId is required';
+  if (!TYPES.includes(condition.type)) return `condition.type must be one of ${TYPES.join(', ')}`;
+  if (['rsi_cross', 'price_cross'].includes(condition.type) && !(Number(condition.level) > 0)) return 'condition.level is required';
+  if (condition.direction && !['up', 'down', 'any'].includes(condition.direction)) return 'condition.direction must be up, down or any';
+  if (condition.type === 'lunar_tier' && !condition.tier) return 'condition.tier is required';
+  try {
+    if (!/^https?:$/.test(new URL(webhook.url).protocol)) return 'webhook.url must be http(s)';
+  } catch {
+    return 'webhook.url is required';
+  }
+  if (webhook.format && !FORMATS.includes(webhook.format)) return `webhook.format must be one of ${FORMATS.join(', ')}`;
+  return null;
+}
+
+export async function createRule(input) {
+  const { condition } = input;
+  const rule = {
+    id: randomUUID(),
+    tokenId: input.tokenId,
+    condition: {
+      type: condition.type,
+      ...(condition.level != null && { level: Number(condition.level) }),
+      ...(condition.direction && { direction: condition.direction }),
+      ...(condition.from && { from: condition.from }),
+      ...(condition.to && { to: condition.to }),
+      ...(condition.tier && { tier: condition.tier })
+    },
+    webhook: { url: input.webhook.url, format: input.webhook.format || 'json', secret: randomBytes(24).toString('hex') },
+    cooldownMinutes: Math.max(1, Number(input.cooldownMinutes) || 60),
+    createdAt: new Date().toISOString(),
+    state: {}
+  };
+  return updateRules((rules) => {
+    if (rules.length >= MAX_RULES) throw Object.assign(new Error('Too many alert rules'), { status: 409 });
+    return { result: rule, next: [...rules, rule] };
+  });
+}
+
+export async function deleteRule(id) {
+  return updateRules((rules) => {
+    const next = rules.filter(r => r.id !== id);
+    return { result: next.length !== rules.length, next };
+  });
+}
+
+export async function updateRuleStates(states) {
+  await updateRules((rules) => {
+    for (const r of rules) if (states[r.id]) r.state = states[r.id];
+    return {};
+  });
+}
+
+// Webhook secret is only shown once, at creation
+export const publicRule = ({ webhook, ...rule }) => ({ ...rule, webhook: { url: webhook.url, format: webhook.format } });
+
+const crossed = (prev, cur, level, direction = 'any') => {
+  if (prev == null || cur == null) return null;
+  if (prev < level && cur >= level && direction !== 'down') return 'up';
+  if (prev >= level && cur < level && direction !== 'up') return 'down';
+  return null;
+};
+
+// Transition-based: compares the live reading against the state kept from the previous run
+export function evaluateRule(rule, { tokenData, archetype, lunar }, now = Date.now()) {
+  const { condition: c, state: prev = {} } = rule;
+  const reading = {
+    archetype,
+    rsi: tokenData?.rsi ?? null,
+    price: tokenData?.price ?? null,
+    tier: lunar?.pattern?.tier ?? null
+  };
+  const next = { ...prev, ...reading, evaluatedAt: new Date(now).toISOString() };
+
+  let event = null;
+  if (c.type === 'archetype_change' && prev.archetype && archetype && prev.archetype !== archetype
+    && (!c.from || c.from === prev.archetype) && (!c.to || c.to === archetype)) {
+    event = { key: `archetype:${prev.archetype}>${archetype}`, summary: `archetype shifted ${prev.archetype} → ${archetype}` };
+  }
+  if (c.type === 'rsi_cross') {
+    const dir = crossed(prev.rsi, reading.rsi, c.level, c.direction);
+    if (dir) event = { key: `rsi:${dir}:${c.level}`, summary: `RSI crossed ${dir === 'up' ? 'above' : 'below'} ${c.level} (now ${reading.rsi})` };
+  }
+  if (c.type === 'price_cross') {
+    const dir = crossed(prev.price, reading.price, c.level, c.direction);
+    if (dir) event = { key: `price:${dir}:${c.level}`, summary: `price crossed ${dir === 'up' ? 'above' : 'below'} ${c.level} (now ${reading.price})` };
+  }
+  if (c.type === 'lunar_tier' && reading.tier === c.tier && prev.tier !== c.tier && prev.tier !== undefined) {
+    event = { key: `tier:${c.tier}`, summary: `lunar tier turned ${c.tier}` };
+  }
+
+  // Transitions already dedupe steady states; the cooldown absorbs flapping around a level
+  if (event) {
+    const cooling = prev.lastFiredAt && now - new Date(prev.lastFiredAt).getTime() < rule.cooldownMinutes * 60000;
+    if (cooling) return { event: null, suppressed: event, state: next };
+    next.lastFiredAt = new Date(now).toISOString();
+    next.lastEventKey = event.key;
+  }
+  return { event, state: next };
+}
+
+export function buildPayload(rule, event, { tokenData, archetype, lunar }) {
+  const symbol = tokenData?.symbol || rule.tokenId;
+  const text = `◇ ${symbol}: ${event.summary}`;
+  const data = {
+    rule: rule.id,
+    token: { id: rule.tokenId, symbol, price: tokenData?.price ?? null, rsi: tokenData?.rsi ?? null },
+    archetype,
+    lunar: { phase: lunar?.phase, tier: lunar?.pattern?.tier },
+    event: event.key,
+    summary: event.summary,
+    time: new Date().toISOString()
+  };
+
+  if (rule.webhook.format === 'discord') {
+    return {
+      content: text,
+      embeds: [{
+        title: `${symbol} — ${archetype}`,
+        description: event.summary,
+        fields: [
+          { name: 'Price', value: String(data.token.price ?? '--'), inline: true },
+          { name: 'RSI', value: String(data.token.rsi ?? '--'), inline: true },
+          { name: 'Lunar', value: `${data.lunar.phase} • ${data.lunar.tier}`, inline: true }
+        ],
+        timestamp: data.time
+      }]
+    };
+  }
+  if (rule.webhook.format === 'slack') return { text, blocks: [{ type: 'section', text: { type: 'mrkdwn', text: `*${symbol}* — ${event.summary}\nPrice ${data.token.price ?? '--'} • RSI ${data.token.rsi ?? '--'} • ${data.lunar.tier}` } }] };
+  return data;
+}
+
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Signed POST with retry on network errors, timeouts, 429 and 5xx
+export async function deliver(rule, payload, { retries = 3, baseDelay = 1000, timeout = 10000 } = {}) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Alice-Timestamp': timestamp,
+    'X-Alice-Signature': signPayload(rule.webhook.secret, timestamp, body)
+  };
+
+  let lastError = null;
+  let attempts = 0;
+  while (attempts <= retries) {
+    if (attempts) await sleep(baseDelay * 2 ** (attempts - 1));
+    attempts++;
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeout);
+    try {
+      const r = await fetch(rule.webhook.url, { method: 'POST', headers, body, signal: ctrl.signal });
+      if (r.ok) return { ok: true, status: r.status, attempts };
+      lastError = `HTTP ${r.status}`;
+      if (r.status !== 429 && r.status < 500) break;
+    } catch (e) {
+      lastError = ctrl.signal.aborted ? `timeout after ${timeout}ms` : e.message;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  return { ok: false, error: lastError, attempts };
+}
@@ -0,0 +1,151 @@
+import { RSI } from 'technicalindicators';
+import { coingecko } from './market.js';
+import { getStore } from './store.js';
+import { lunarElongation, phaseName } from './ephemeris.js';
+import { getLunarPatternTierFromAngle, identifyArchetype } from './oracle.js';
+import { seedFor } from './oracle-metrics.js';
+
+const DAY_MS = 86400000;
+const HISTORY_TTL_MS = 24 * 60 * 60 * 1000;
+export const HORIZONS = [1, 7, 30];
+export const FIB_CUTOFFS = [23.6, 38.2, 50, 61.8, 78.6];
+
+// Daily market_chart (days=max), kept in the store (a file under data/ locally) for a day
+export async function loadDailyHistory(id, { refresh = false } = {}) {
+  const store = getStore();
+  const key = `history:${id}`;
+  const hit = await store.get(key);
+  if (hit && !refresh && Date.now() - new Date(hit.fetchedAt).getTime() < HISTORY_TTL_MS) return hit;
+
+  const [chart, meta] = await Promise.all([
+    coingecko.chart(id, 'max', 'daily'),
+    coingecko.token(id).catch(() => null)
+  ]);
+  if (!chart.prices.length) throw new Error(`No price history for ${id}`);
+
+  const volumeAt = new Map(chart.volumes.map(([t, v]) => [Math.floor(t / DAY_MS), v]));
+  const history = {
+    id,
+    symbol: meta?.symbol || id.toUpperCase(),
+    fetchedAt: new Date().toISOString(),
+    days: chart.prices.map(([t, p]) => ({ t, price: p, volume: volumeAt.get(Math.floor(t / DAY_MS)) ?? 0 }))
+  };
+  await store.set(key, history);
+  return history;
+}
+
+// from / to bounds in ms; a date that doesn't parse is a 400, not a silently unfiltered range
+function dateBound(value, name) {
+  if (!value) return null;
+  const t = new Date(String(value)).getTime();
+  if (isNaN(t)) throw Object.assign(new Error(`${name} is not a date (YYYY-MM-DD): ${value}`), { status: 400 });
+  return t;
+}
+
+// One row per day: the archetype/tier the bot would have assigned, plus what price did next
+export function replay({ symbol, days }, { from, to } = {}) {
+  const closes = days.map(d => d.price);
+  const rsi = RSI.calculate({ values: closes, period: 14 });
+  const offset = closes.length - rsi.length;
+  const lo = dateBound(from, 'from') ?? -Infinity;
+  const hi = to ? dateBound(to, 'to') + DAY_MS - 1 : Infinity;
+
+  const rows = [];
+  for (let i = offset; i < days.length; i++) {
+    const { t, price, volume } = days[i];
+    if (t < lo || t > hi || !(price > 0)) continue;
+
+    const r = Math.round(rsi[i - offset]);
+    const angle = lunarElongation(t);
+    const fwd = {};
+    for (const h of HORIZONS) fwd[h] = i + h < days.length ? days[i + h].price / price - 1 : null;
+    const window = days.slice(i + 1, i + 31).map(d => d.price);
+
+    rows.push({
+      date: new Date(t).toISOString().slice(0, 10),
+      price,
+      rsi: r,
+      archetype: identifyArchetype({ symbol, rsi: r, volume, seed: seedFor(symbol, t).seed }),
+      tier: getLunarPatternTierFromAngle(angle).tier,
+      phase: phaseName(angle),
+      fwd,
+      maxDrawdown30: window.length ? Math.min(0, Math.min(...window) / price - 1) : null
+    });
+  }
+  return rows;
+}
+
+const mean = (xs) => xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null;
+const median = (xs) => {
+  if (!xs.length) return null;
+  const s = [...xs].sort((a, b) => a - b);
+  const m = Math.floor(s.length / 2);
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+};
+const pct = (v) => v == null ? null : +(v * 100).toFixed(2);
+
+export function summarize(rows) {
+  const out = { n: rows.length };
+  for (const h of HORIZONS) {
+    const rs = rows.map(r => r.fwd[h]).filter(v => v != null);
+    out[`${h}d`] = {
+      n: rs.length,
+      mean: pct(mean(rs)),
+      median: pct(median(rs)),
+      hitRate: rs.length ? +((rs.filter(v => v > 0).length / rs.length) * 100).toFixed(1) : null
+    };
+  }
+  const dd = rows.map(r => r.maxDrawdown30).filter(v => v != null);
+  out.drawdown30d = { mean: pct(mean(dd)), worst: pct(dd.length ? Math.min(...dd) : null) };
+  return out;
+}
+
+export function groupBy(rows, keyFn) {
+  const groups = {};
+  for (const r of rows) (groups[keyFn(r)] ||= []).push(r);
+  return Object.fromEntries(Object.entries(groups).map(([k, v]) => [k, summarize(v)]));
+}
+
+export function rsiBand(rsi, cutoffs = FIB_CUTOFFS) {
+  const i = cutoffs.findIndex(c => rsi < c);
+  if (i === -1) return `${cutoffs[cutoffs.length - 1]}-100`;
+  return `${i === 0 ? 0 : cutoffs[i - 1]}-${cutoffs[i]}`;
+}
+
+// What CoinGecko actually returned. limited: the history starts after the requested from, or (no from) it spans just
+// the plan's cap, so older days exist that the replay never saw
+function fetchedSpan(days, from) {
+  const first = days[0].t;
+  const last = days.at(-1).t;
+  const cap = coingecko.historyLimitDays();
+  const span = Math.round((last - first) / DAY_MS);
+  const limited = from ? dateBound(from, 'from') < first : cap != null && Math.abs(span - cap) <= 1;
+  const date = (t) => new Date(t).toISOString().slice(0, 10);
+  return { from: date(first), to: date(last), days: days.length, limited };
+}
+
+export async function runBacktest(id, { from, to, cutoffs = FIB_CUTOFFS, refresh = false } = {}) {
+  // Checked before the history fetch too, so a typo doesn't cost a CoinGecko call
+  dateBound(from, 'from');
+  dateBound(to, 'to');
+  const history = await loadDailyHistory(id, { refresh });
+  const rows = replay(history, { from, to });
+  return {
+    token: { id, symbol: history.symbol },
+    requested: { from: from || null, to: to || null },
+    history: fetchedSpan(history.days, from),
+    range: { from: rows[0]?.date || null, to: rows.at(-1)?.date || null, days: rows.length },
+    fetchedAt: history.fetchedAt,
+    baseline: summarize(rows),
+    byArchetype: groupBy(rows, r => r.archetype),
+    byTier: groupBy(rows, r => r.tier),
+    byPhase: groupBy(rows, r => r.phase),
+    byRsiBand: { cutoffs, bands: groupBy(rows, r => rsiBand(r.rsi, cutoffs)) }
+  };
+}
+
+export function parseCutoffs(raw) {
+  if (!raw) return FIB_CUTOFFS;
+  const cs = String(raw).split(',').map(Number).filter(n => n > 0 && n < 100).sort((a, b) => a - b);
+  return cs.length ? cs : FIB_CUTOFFS;
+}
@@ -0,0 +1,51 @@
+// In-process TTL cache shared by the provider adapters; also collapses concurrent lookups
+const entries = new Map();
+const inflight = new Map();
+
+export async function cached(key, ttlMs, fn) {
+  const hit = entries.get(key);
+  if (hit && hit.expires > Date.now()) return hit.value;
+  if (inflight.has(key)) return inflight.get(key);
+
+  const p = (async () => {
+    try {
+      const value = await fn();
+      if (value != null) entries.set(key, { value, expires: Date.now() + ttlMs });
+      return value;
+    } finally {
+      inflight.delete(key);
+    }
+  })();
+  inflight.set(key, p);
+  return p;
+}
+
+// Bounded least-recently-used map, for values that never go stale but cost CPU to build (sigil renders)
+export function lruCache(max) {
+  const map = new Map();
+  return {
+    get(key) {
+      if (!map.has(key)) return undefined;
+      const value = map.get(key);
+      map.delete(key);
+      map.set(key, value);
+      return value;
+    },
+    set(key, value) {
+      map.delete(key);
+      map.set(key, value);
+      if (map.size > max) map.delete(map.keys().next().value);
+    },
+    get size() {
+      return map.size;
+    }
+  };
+}
+
+export function peek(key) {
+  return entries.get(key)?.value ?? null;
+}
+
+export function clearCache(prefix = '') {
+  for (const k of entries.keys()) if (k.startsWith(prefix)) entries.delete(k);
+}
@@ -0,0 +1,131 @@
+// X counts weighted length: most Latin/punctuation = 1, everything else (CJK, emoji) = 2, URLs = 23
+export const MAX_WEIGHT = 280;
+const URL_WEIGHT = 23;
+const URL_RE = /https?:\/\/\S+/g;
+const LIGHT = [[0x0000, 0x10FF], [0x2000, 0x200D], [0x2010, 0x201F], [0x2032, 0x2037]];
+const EMOJI = /\p{Extended_Pictographic}/u;
+const segmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+function charWeight(cluster) {
+  if (EMOJI.test(cluster)) return 2;
+  let w = 0;
+  for (const ch of cluster) {
+    const cp = ch.codePointAt(0);
+    w += LIGHT.some(([lo, hi]) => cp >= lo && cp <= hi) ? 1 : 2;
+  }
+  return w;
+}
+
+export function tweetLength(text = '') {
+  let weight = 0;
+  const rest = text.replace(URL_RE, () => { weight += URL_WEIGHT; return ''; });
+  for (const { segment } of segmenter.segment(rest)) weight += charWeight(segment);
+  return weight;
+}
+
+export const fits = (text, max = MAX_WEIGHT, length = tweetLength) => length(text) <= max;
+
+// Splits an over-long block on lines and sentences, then words; never mid-word
+function splitBlock(block, max, length) {
+  if (fits(block, max, length)) return [block];
+  const units = [];
+  block.split('\n').forEach((line, li) => line.split(/(?<=[.!?])\s+/).forEach((u, ui) => {
+    units.push({ u, sep: ui === 0 && li > 0 ? '\n' : ' ' });
+  }));
+
+  const out = [];
+  let cur = '';
+  const append = (piece, sep) => {
+    const next = cur ? cur + sep + piece : piece;
+    if (!fits(next, max, length)) return false;
+    cur = next;
+    return true;
+  };
+
+  for (const { u, sep } of units) {
+    if (append(u, sep)) continue;
+    if (cur) out.push(cur);
+    cur = '';
+    if (append(u, sep)) continue;
+    for (const w of u.split(/\s+/)) {
+      if (append(w, ' ')) continue;
+      out.push(cur);
+      cur = w;
+    }
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+const MARKERS = ['\nPrice:', '\nThreshold:', '\nOracle Pulse:'];
+
+// Header + quote | metrics | levels + alignment string | Oracle Pulse
+export function sectionsOf(text) {
+  const cuts = MARKERS.map(m => text.indexOf(m));
+  if (cuts.some(i => i === -1)) return [text.trim()];
+  const bounds = [0, ...cuts, text.length];
+  return bounds.slice(0, -1).map((b, i) => text.slice(b, bounds[i + 1]).trim()).filter(Boolean);
+}
+
+// length defaults to X's weighting; other channels pass their own measure (characters, bytes)
+export function composeThread(text, max = MAX_WEIGHT, length = tweetLength) {
+  return sectionsOf(text).flatMap(section => splitBlock(section, max, length));
+}
+
+// Greedy re-join of thread parts for channels with longer messages than X
+export function packParts(parts, max, length = tweetLength) {
+  const out = [];
+  for (const part of parts) {
+    const joined = out.length ? `${out[out.length - 1]}\n\n${part}` : null;
+    if (joined && fits(joined, max, length)) out[out.length - 1] = joined;
+    else out.push(part);
+  }
+  return out;
+}
+
+// Single-tweet fallback: header, quote, price, levels, alignment; drops lines from the end until it fits
+export function compactTweet(text, max = MAX_WEIGHT) {
+  const lines = text.split('\n').map(l => l.trim());
+  const pick = (re) => lines.find(l => re.test(l));
+  const alignIdx = lines.findIndex(l => /^Alignment String:/.test(l));
+
+  const header = lines[0]?.replace(/\s*\(Refined\)\s*$/, '');
+  const quote = pick(/^".+"$/);
+  const price = pick(/^Price:/);
+  const th = pick(/^Threshold:/)?.replace('Threshold:', 'TH');
+  const echo = pick(/^Echo Rim:/)?.replace('Echo Rim:', 'ECHO');
+  const align = alignIdx >= 0 ? lines[alignIdx + 1] : null;
+
+  const out = [header, quote, price, th && echo ? `${th} • ${echo}` : null, align].filter(Boolean);
+  while (out.length > 1 && !fits(out.join('\n'), max)) out.pop();
+  let tweet = out.join('\n');
+  if (!fits(tweet, max)) {
+    while (tweet && !fits(`${tweet}…`, max)) tweet = tweet.replace(/\s*\S+$/, '');
+    tweet = `${tweet}…`;
+  }
+  return { text: tweet, truncated: out.length < 5 };
+}
+
+export const threadsEnabled = () => !/^(0|false|off)$/i.test(process.env.THREADS || '');
+
+export function planTweets(text) {
+  if (threadsEnabled()) return { mode: 'thread', tweets: composeThread(text), truncated: false };
+  const c = compactTweet(text);
+  return { mode: 'compact', tweets: [c.text], truncated: c.truncated };
+}
+
+// First tweet carries the poster; the rest reply-chain under it
+export async function publishTweets(rw, tweets, { mediaId, inReplyTo } = {}) {
+  const ids = [];
+  let parent = inReplyTo || null;
+  for (const [i, text] of tweets.entries()) {
+    const payload = { text };
+    if (i === 0 && mediaId) payload.media = { media_ids: [mediaId] };
+    if (parent) payload.reply = { in_reply_to_tweet_id: parent };
+    // A thread that breaks part-way throws with the tweets already out on e.ids, so they can still be recorded
+    const result = await rw.v2.tweet(payload).catch(e => { throw Object.assign(e, { ids: [...ids] }); });
+    ids.push(result.data.id);
+    parent = result.data.id;
+  }
+  return ids;
+}
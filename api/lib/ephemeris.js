@@ -0,0 +1,137 @@
+// Low-precision Sun/Moon positions (Meeus, Astronomical Algorithms ch. 25 & 47, main terms).
+// Good to ~0.3° in longitude, i.e. phase times within ~30 min — plenty for tiers and rise/set.
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J2000 = 2451545.0;
+export const SYNODIC_MONTH = 29.530588853;
+
+const norm = (deg) => ((deg % 360) + 360) % 360;
+const sin = (deg) => Math.sin(deg * RAD);
+const cos = (deg) => Math.cos(deg * RAD);
+
+const julianDay = (date) => new Date(date).getTime() / DAY_MS + 2440587.5;
+
+export function sunPosition(date) {
+  const T = (julianDay(date) - J2000) / 36525;
+  const L0 = 280.46646 + 36000.76983 * T;
+  const M = 357.52911 + 35999.05029 * T;
+  const C = (1.914602 - 0.004817 * T) * sin(M) + 0.019993 * sin(2 * M) + 0.000289 * sin(3 * M);
+  const e = 0.016708634 - 0.000042037 * T;
+  const v = M + C;
+  const distanceKm = 149598023 * (1 - e * e) / (1 + e * cos(v));
+  return { lon: norm(L0 + C), lat: 0, distanceKm };
+}
+
+export function moonPosition(date) {
+  const T = (julianDay(date) - J2000) / 36525;
+  const Lp = 218.3164477 + 481267.88123421 * T;
+  const D = 297.8501921 + 445267.1114034 * T;
+  const M = 357.5291092 + 35999.0502909 * T;
+  const Mp = 134.9633964 + 477198.8675055 * T;
+  const F = 93.2720950 + 483202.0175233 * T;
+
+  const lon = Lp
+    + 6.288774 * sin(Mp) + 1.274027 * sin(2 * D - Mp) + 0.658314 * sin(2 * D)
+    + 0.213618 * sin(2 * Mp) - 0.185116 * sin(M) - 0.114332 * sin(2 * F)
+    + 0.058793 * sin(2 * D - 2 * Mp) + 0.057066 * sin(2 * D - M - Mp)
+    + 0.053322 * sin(2 * D + Mp) + 0.045758 * sin(2 * D - M)
+    - 0.040923 * sin(M - Mp) - 0.034720 * sin(D) - 0.030383 * sin(M + Mp);
+  const lat = 5.128122 * sin(F) + 0.280602 * sin(Mp + F) + 0.277693 * sin(Mp - F)
+    + 0.173237 * sin(2 * D - F) + 0.055413 * sin(2 * D - Mp + F) + 0.046271 * sin(2 * D - Mp - F);
+  const distanceKm = 385000.56 - 20905.355 * cos(Mp) - 3699.111 * cos(2 * D - Mp)
+    - 2955.968 * cos(2 * D) - 569.925 * cos(2 * Mp);
+
+  return { lon: norm(lon), lat, distanceKm };
+}
+
+// Moon–Sun elongation in ecliptic longitude: 0 = new, 90 = first quarter, 180 = full, 270 = last quarter
+export function lunarElongation(date) {
+  return norm(moonPosition(date).lon - sunPosition(date).lon);
+}
+
+export function illuminatedFraction(date) {
+  const moon = moonPosition(date);
+  const sun = sunPosition(date);
+  const psi = Math.acos(cos(moon.lat) * cos(moon.lon - sun.lon));
+  const i = Math.atan2(sun.distanceKm * Math.sin(psi), moon.distanceKm - sun.distanceKm * Math.cos(psi));
+  return (1 + Math.cos(i)) / 2;
+}
+
+export function phaseName(angle) {
+  if (angle < 22.5 || angle >= 337.5) return 'New Moon';
+  if (angle < 67.5) return 'Waxing Crescent';
+  if (angle < 112.5) return 'First Quarter';
+  if (angle < 157.5) return 'Waxing Gibbous';
+  if (angle < 202.5) return 'Full Moon';
+  if (angle < 247.5) return 'Waning Gibbous';
+  if (angle < 292.5) return 'Last Quarter';
+  return 'Waning Crescent';
+}
+
+// Next instant the elongation reaches target (0 new, 180 full): 6h scan then bisection
+export function nextPhase(target, from = new Date()) {
+  const off = (t) => norm(lunarElongation(t) - target + 180) - 180;
+  let a = new Date(from).getTime();
+  for (let i = 0; i < 130; i++) {
+    const b = a + 6 * 3600000;
+    if (off(a) < 0 && off(b) >= 0) {
+      let lo = a;
+      let hi = b;
+      for (let j = 0; j < 30; j++) {
+        const mid = (lo + hi) / 2;
+        if (off(mid) < 0) lo = mid; else hi = mid;
+      }
+      return new Date(hi);
+    }
+    a = b;
+  }
+  return null;
+}
+
+function moonAltitude(date, lat, lon) {
+  const d = julianDay(date) - J2000;
+  const T = d / 36525;
+  const m = moonPosition(date);
+  const eps = 23.439291 - 0.0130042 * T;
+
+  const ra = Math.atan2(sin(m.lon) * cos(eps) - Math.tan(m.lat * RAD) * sin(eps), cos(m.lon)) / RAD;
+  const dec = Math.asin(sin(m.lat) * cos(eps) + cos(m.lat) * sin(eps) * sin(m.lon)) / RAD;
+  const lst = 280.46061837 + 360.98564736629 * d + lon;
+  const H = lst - ra;
+  const alt = Math.asin(sin(lat) * sin(dec) + cos(lat) * cos(dec) * cos(H)) / RAD;
+
+  // Standard altitude for the Moon: 0.7275·parallax − 34′ refraction
+  const parallax = Math.asin(6378.14 / m.distanceKm) / RAD;
+  return alt - (0.7275 * parallax - 0.5667);
+}
+
+// Next rise and set after `from` within 48h (10-minute scan, linear refine)
+export function moonRiseSet(lat, lon, from = new Date()) {
+  const step = 10 * 60000;
+  const start = new Date(from).getTime();
+  let rise = null;
+  let set = null;
+  let prev = moonAltitude(start, lat, lon);
+  for (let t = start + step; t <= start + 2 * DAY_MS && !(rise && set); t += step) {
+    const cur = moonAltitude(t, lat, lon);
+    if (prev < 0 && cur >= 0 && !rise) rise = new Date(t - step + step * (-prev / (cur - prev)));
+    if (prev >= 0 && cur < 0 && !set) set = new Date(t - step + step * (prev / (prev - cur)));
+    prev = cur;
+  }
+  return { moonrise: rise, moonset: set, aboveHorizon: moonAltitude(start, lat, lon) >= 0 };
+}
+
+export function lunarEphemeris(date = new Date(), { lat = 0, lon = 0 } = {}) {
+  const angle = lunarElongation(date);
+  return {
+    angle: +angle.toFixed(2) % 360,
+    phase: phaseName(angle),
+    illumination: +illuminatedFraction(date).toFixed(4),
+    ageDays: +(angle / 360 * SYNODIC_MONTH).toFixed(2),
+    nextNewMoon: nextPhase(0, date),
+    nextFullMoon: nextPhase(180, date),
+    ...moonRiseSet(lat, lon, date),
+    location: { lat, lon }
+  };
+}
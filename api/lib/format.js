@@ -0,0 +1,22 @@
+// Display formatting shared by the tweet templates and the preview routes; '--' stands in for a missing value
+
+export function formatNumber(num, decimals = 2) {
+  if (!num && num !== 0) return '--';
+  if (num >= 1000000000) return `${(num / 1000000000).toFixed(decimals)}B`;
+  if (num >= 1000000) return `${(num / 1000000).toFixed(decimals)}M`;
+  if (num >= 1000) return `${(num / 1000).toFixed(decimals)}K`;
+  return num.toFixed(decimals);
+}
+
+export function formatPrice(price) {
+  if (!price && price !== 0) return '--';
+  if (price < 0.01) return price.toFixed(8);
+  if (price < 1) return price.toFixed(4);
+  return price.toFixed(2);
+}
+
+export function formatPercent(num) {
+  if (!num && num !== 0) return '--';
+  const sign = num > 0 ? '+' : '';
+  return `${sign}${num.toFixed(2)}%`;
+}
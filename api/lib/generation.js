@@ -0,0 +1,41 @@
+import openai from './generation/openai.js';
+import compatible from './generation/compatible.js';
+import stub from './generation/stub.js';
+
+export const PROVIDERS = { openai, compatible, stub };
+
+/*
+ * Provider per call: explicit option, then the persona's model.provider / model.imageProvider,
+ * then TEXT_PROVIDER / IMAGE_PROVIDER, then whichever is configured (OpenAI key, LLM_BASE_URL), else the stub.
+ */
+export function resolveProvider(kind, requested) {
+  const name = requested || process.env[kind === 'image' ? 'IMAGE_PROVIDER' : 'TEXT_PROVIDER'];
+  if (name) {
+    const p = PROVIDERS[name];
+    if (!p) throw new Error(`Unknown ${kind} provider: ${name}`);
+    return p;
+  }
+  if (openai.enabled()) return openai;
+  if (compatible.enabled()) return compatible;
+  return stub;
+}
+
+// Health probe for whichever provider a call without an explicit one would use
+export async function checkProvider(kind) {
+  const p = resolveProvider(kind);
+  const detail = await p.check();
+  return { provider: p.name, ...detail };
+}
+
+// -> raw text from the model
+export async function generateText({ provider, messages, model, temperature, maxTokens, responseFormat, fixture }) {
+  const p = resolveProvider('text', provider);
+  return p.text({ messages, model, temperature, maxTokens, responseFormat, fixture });
+}
+
+// -> { url, mimeType? } or null; url may be a data: URL (stub, b64 servers)
+export async function generateImage({ provider, prompt, model, size, inputs }) {
+  const p = resolveProvider('image', provider);
+  const out = await p.image({ prompt, model, size, inputs });
+  return out ? { ...out, provider: p.name } : null;
+}
@@ -0,0 +1,15 @@
+import { openaiAdapter } from './openai.js';
+
+// Any server speaking the OpenAI API: Ollama (http://localhost:11434/v1), llama.cpp server, vLLM, ...
+// LLM_MODEL / LLM_IMAGE_MODEL replace the persona's model names, which are usually OpenAI ones.
+export default openaiAdapter({
+  name: 'compatible',
+  enabled: () => !!process.env.LLM_BASE_URL,
+  config: () => ({
+    apiKey: process.env.LLM_API_KEY || 'local',
+    baseURL: process.env.LLM_BASE_URL,
+    textModel: process.env.LLM_MODEL,
+    imageModel: process.env.LLM_IMAGE_MODEL || null,
+    imageFormat: 'b64_json'
+  })
+});
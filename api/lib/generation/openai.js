@@ -0,0 +1,51 @@
+import { OpenAI } from 'openai';
+
+// Shared by the OpenAI adapter and any OpenAI-compatible server; the client is built on first use
+export function openaiAdapter({ name, enabled, config }) {
+  let client = null;
+  let clientKey = null;
+  const getClient = () => {
+    const { apiKey, baseURL } = config();
+    const key = `${baseURL || ''}|${apiKey || ''}`;
+    if (!client || key !== clientKey) {
+      client = new OpenAI({ apiKey, ...(baseURL && { baseURL }) });
+      clientKey = key;
+    }
+    return client;
+  };
+
+  return {
+    name,
+    enabled,
+    // Health probe: listing models costs no tokens
+    async check() {
+      await getClient().models.list();
+      return { model: config().textModel || null };
+    },
+    async text({ messages, model, temperature, maxTokens, responseFormat }) {
+      const res = await getClient().chat.completions.create({
+        model: config().textModel || model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        ...(responseFormat && { response_format: responseFormat })
+      });
+      return res.choices[0].message.content;
+    },
+    async image({ prompt, model, size }) {
+      const imageModel = config().imageModel === undefined ? model : config().imageModel;
+      if (!imageModel) throw new Error(`${name} has no image model configured`);
+      const res = await getClient().images.generate({ model: imageModel, prompt, n: 1, size, response_format: config().imageFormat || 'url' });
+      const d = res?.data?.[0];
+      if (d?.url) return { url: d.url };
+      if (d?.b64_json) return { url: `data:image/png;base64,${d.b64_json}`, mimeType: 'image/png' };
+      return null;
+    }
+  };
+}
+
+export default openaiAdapter({
+  name: 'openai',
+  enabled: () => !!process.env.OPENAI_API_KEY,
+  config: () => ({ apiKey: process.env.OPENAI_API_KEY })
+});
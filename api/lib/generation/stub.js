@@ -0,0 +1,27 @@
+import { createHash } from 'crypto';
+import { sigilSvg } from '../sigil.js';
+
+// Deterministic and offline: fixture text and a procedural sigil, for staging and CI
+const FIXTURES = [
+  'The veil thins where echoes gather.',
+  'Price remembers what mind forgets.',
+  'Thresholds hold until echo breaks.',
+  'Look through, not at.'
+];
+
+export default {
+  name: 'stub',
+  enabled: () => true,
+  async check() {},
+  // Callers pass the output they expect back (e.g. the fallback insight as JSON); otherwise a fixture keyed by the prompt
+  async text({ messages, fixture }) {
+    if (fixture != null) return fixture;
+    const h = createHash('sha256').update(JSON.stringify(messages || [])).digest();
+    return FIXTURES[h[0] % FIXTURES.length];
+  },
+  async image({ inputs, size }) {
+    const px = parseInt(size, 10) || 1024;
+    const svg = sigilSvg(inputs || {}, px);
+    return { url: `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`, mimeType: 'image/svg+xml' };
+  }
+};
@@ -0,0 +1,78 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { getStore } from './store.js';
+
+const SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+
+const safeEqual = (a = '', b = '') => {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && timingSafeEqual(x, y);
+};
+
+export function signRequest(path, ts = Date.now(), secret = process.env.CRON_SECRET) {
+  return createHmac('sha256', secret).update(`${path}:${ts}`).digest('hex');
+}
+
+// Vercel cron header, the raw ?key= that api/cron/route.js sends, or ?ts=&sig= (HMAC of "path:ts")
+export function isAuthorized(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return !process.env.VERCEL;
+
+  if (safeEqual(req.headers.authorization, `Bearer ${secret}`)) return true;
+  if (req.query.key && safeEqual(req.query.key, secret)) return true;
+
+  const ts = parseInt(req.query.ts, 10);
+  if (req.query.sig && ts && Math.abs(Date.now() - ts) < SIGNATURE_MAX_AGE_MS) {
+    return safeEqual(req.query.sig, signRequest(req.path, ts, secret));
+  }
+  return false;
+}
+
+// Sliding window per route, kept in the store so every serverless instance sees it
+export async function overLimit(route, { max, windowMs }) {
+  const store = getStore();
+  const key = `ratelimit:${route}`;
+  const now = Date.now();
+  const hits = ((await store.get(key)) || []).filter(t => now - t < windowMs);
+  if (hits.length >= max) return true;
+  hits.push(now);
+  await store.set(key, hits);
+  return false;
+}
+
+/*
+ * Middleware for cron / write routes.
+ *   rateLimit: { max, windowMs }
+ *   lockSlotMs: one run per schedule slot (matches vercel.json); ?force=1 skips it.
+ *   The lock is released with res.locals.releaseLock() when a run fails before anything went out, so a retry can go through.
+ */
+export function cronGuard(route, { rateLimit, lockSlotMs } = {}) {
+  return async (req, res, next) => {
+    res.removeHeader('Access-Control-Allow-Origin');
+    res.setHeader('Cache-Control', 'no-store');
+    res.locals.releaseLock = async () => {};
+
+    if (!isAuthorized(req)) return res.status(401).json({ ok: false, error: 'Unauthorized' });
+
+    try {
+      if (rateLimit && await overLimit(route, rateLimit)) {
+        return res.status(429).json({ ok: false, error: 'Rate limited' });
+      }
+
+      if (lockSlotMs && req.query.force !== '1') {
+        const slot = Math.floor(Date.now() / lockSlotMs);
+        const key = `lock:${route}:${slot}`;
+        const store = getStore();
+        if (!await store.setnx(key, { at: new Date().toISOString() }, lockSlotMs)) {
+          return res.status(200).json({ ok: true, skipped: 'already ran for this slot', slot });
+        }
+        res.locals.releaseLock = () => store.del(key).catch(e => console.warn('lock release fail:', e.message));
+      }
+    } catch (e) {
+      console.error(`guard fail (${route}):`, e.message);
+      return res.status(503).json({ ok: false, error: 'Guard unavailable' });
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,39 @@
+import { cached } from './cache.js';
+import { redact } from './log.js';
+
+/*
+ * Live dependency probes for /api/status and /api/health.
+ *   checks: { name: { configured?: () => bool, check: async () => detail? } }
+ * Results are cached for ttlMs so a busy status page doesn't turn into load (or quota) on the upstreams.
+ */
+export function checkDependencies(checks, { ttlMs = 60 * 1000, timeout = 8000 } = {}) {
+  return cached('health:deps', ttlMs, async () => {
+    const names = Object.keys(checks);
+    const results = await Promise.all(names.map(n => probe(checks[n], timeout)));
+    return Object.fromEntries(names.map((n, i) => [n, results[i]]));
+  });
+}
+
+async function probe({ configured = () => true, check }, timeout) {
+  if (!configured()) return { ok: null, configured: false };
+  const started = Date.now();
+  let timer;
+  try {
+    const detail = await Promise.race([
+      check(),
+      new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`timed out after ${timeout}ms`)), timeout); })
+    ]);
+    return { ok: true, ms: Date.now() - started, ...(detail && typeof detail === 'object' ? { detail } : {}) };
+  } catch (e) {
+    return { ok: false, ms: Date.now() - started, error: redact(e.message || e) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ok: everything configured answers; degraded: something optional or a channel is failing; down: a required one is
+export function overallStatus(deps, required = []) {
+  const failing = Object.entries(deps).filter(([, d]) => d.ok === false).map(([n]) => n);
+  if (failing.some(n => required.includes(n))) return { status: 'down', failing };
+  return { status: failing.length ? 'degraded' : 'ok', failing };
+}
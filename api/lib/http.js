@@ -0,0 +1,74 @@
+import fetch, { FormData } from 'node-fetch';
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+export class HttpError extends Error {
+  constructor(status, url) {
+    super(`HTTP ${status} for ${url.split('?')[0]}`);
+    this.status = status;
+  }
+}
+
+// JSON GET with backoff on 429 / 5xx; honors Retry-After when the upstream sends it
+export async function fetchJson(url, { headers = {}, retries = 3, baseDelay = 1000, timeout = 10000 } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeout);
+    let r;
+    try {
+      r = await fetch(url, { headers: { accept: 'application/json', ...headers }, signal: ctrl.signal });
+    } catch (e) {
+      if (attempt >= retries) throw e;
+      await sleep(baseDelay * 2 ** attempt);
+      continue;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (r.ok) return r.json();
+    if ((r.status === 429 || r.status >= 500) && attempt < retries) {
+      const retryAfter = parseFloat(r.headers.get('retry-after'));
+      const wait = !isNaN(retryAfter) ? retryAfter * 1000 : baseDelay * 2 ** attempt;
+      console.warn(`${r.status} from ${new URL(url).host}, retrying in ${Math.round(wait)}ms`);
+      await sleep(Math.min(wait, 30000));
+      continue;
+    }
+    throw new HttpError(r.status, url);
+  }
+}
+
+/*
+ * POST JSON (or a FormData upload) once — publishing must not double-post on a retry — and return the JSON reply.
+ * label stands in for the URL in errors so tokens carried in the path (Telegram, Discord webhooks) stay out of logs.
+ */
+export async function postBody(url, body, { headers = {}, label = url.split('?')[0], timeout = 20000 } = {}) {
+  const form = body instanceof FormData;
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeout);
+  let r;
+  try {
+    r = await fetch(url, {
+      method: 'POST',
+      headers: form ? headers : { 'content-type': 'application/json', ...headers },
+      body: form ? body : JSON.stringify(body),
+      signal: ctrl.signal
+    });
+  } catch (e) {
+    throw new Error(`${label} failed: ${e.name === 'AbortError' ? 'timed out' : e.code || 'network error'}`);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const text = await r.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch {}
+  if (!r.ok) {
+    const e = new HttpError(r.status, label);
+    const detail = json?.description || json?.message || text.slice(0, 200);
+    if (detail) e.message += `: ${detail}`;
+    throw e;
+  }
+  return json;
+}
@@ -0,0 +1,174 @@
+import { ATR, BollingerBands, EMA, MACD, OBV, RSI, StochasticRSI } from 'technicalindicators';
+import { birdeye, coingecko } from './market.js';
+
+// OHLC comes from CoinGecko /ohlc (30m candles up to 2 days, 4h up to 30 days) and is
+// resampled to the timeframe; closes/volumes come from market_chart for longer EMA history
+export const TIMEFRAMES = {
+  '1h': { ms: 3600e3, ohlcDays: 2, chartDays: 14 },
+  '4h': { ms: 4 * 3600e3, ohlcDays: 30, chartDays: 60 },
+  '1d': { ms: 86400e3, ohlcDays: 30, chartDays: 365, interval: 'daily' }
+};
+
+const FIB = [0.236, 0.382, 0.5, 0.618, 0.786];
+const FIB_EXT = [1.272, 1.618];
+
+const round = (v, d = 4) => typeof v === 'number' && isFinite(v) ? +v.toPrecision(d + 2) : null;
+const last = (arr) => arr.length ? arr[arr.length - 1] : null;
+
+export function resampleOhlc(rows, ms) {
+  const buckets = new Map();
+  for (const [t, o, h, l, c] of rows) {
+    const k = Math.floor(t / ms) * ms;
+    const b = buckets.get(k);
+    if (!b) buckets.set(k, { time: k, open: o, high: h, low: l, close: c });
+    else {
+      b.high = Math.max(b.high, h);
+      b.low = Math.min(b.low, l);
+      b.close = c;
+    }
+  }
+  return [...buckets.values()].sort((a, b) => a.time - b.time);
+}
+
+// Last value per bucket, e.g. hourly market_chart points -> 4h closes
+export function resampleSeries(points, ms) {
+  const buckets = new Map();
+  for (const [t, v] of points) buckets.set(Math.floor(t / ms) * ms, v);
+  return [...buckets.entries()].sort((a, b) => a[0] - b[0]).map(([, v]) => v);
+}
+
+function crossState(fast, slow) {
+  const n = Math.min(fast.length, slow.length);
+  if (!n) return null;
+  const f = fast.slice(-n);
+  const s = slow.slice(-n);
+  const state = f[n - 1] >= s[n - 1] ? 'bull' : 'bear';
+  let barsAgo = null;
+  for (let i = n - 1; i > 0; i--) {
+    if ((f[i] >= s[i]) !== (f[i - 1] >= s[i - 1])) { barsAgo = n - 1 - i; break; }
+  }
+  return { state, barsAgo };
+}
+
+export function swingPoints(candles, span = 2) {
+  const highs = [];
+  const lows = [];
+  for (let i = span; i < candles.length - span; i++) {
+    const win = candles.slice(i - span, i + span + 1);
+    if (win.every(c => c.high <= candles[i].high)) highs.push(candles[i].high);
+    if (win.every(c => c.low >= candles[i].low)) lows.push(candles[i].low);
+  }
+  return { highs, lows };
+}
+
+// Threshold / Echo Rim = first two resistances above price; invalidation = first support below
+export function computeLevels(price, candles, atr) {
+  if (!price || candles.length < 5) {
+    return { method: 'fallback', support: price * 0.96, threshold: price * 1.05, echoRim: price * 1.15, invalidation: price * 0.96 };
+  }
+
+  const hi = Math.max(...candles.map(c => c.high));
+  const lo = Math.min(...candles.map(c => c.low));
+  const range = hi - lo;
+  const fibs = FIB.map(f => hi - range * f);
+  const exts = FIB_EXT.map(f => lo + range * f);
+  const { highs, lows } = swingPoints(candles);
+
+  const minGap = price * 0.005;
+  const above = [...highs, ...fibs, hi, ...exts].filter(v => v > price + minGap).sort((a, b) => a - b);
+  const below = [...lows, ...fibs, lo].filter(v => v < price - minGap).sort((a, b) => b - a);
+
+  const step = atr || price * 0.03;
+  const threshold = above[0] ?? price + step;
+  const echoRim = above.find(v => v > threshold * 1.01) ?? threshold + step * 1.5;
+  const support = below[0] ?? price - step;
+
+  return {
+    method: highs.length || lows.length ? 'swing+fib' : 'fib',
+    support,
+    threshold,
+    echoRim,
+    invalidation: support,
+    range: { high: hi, low: lo },
+    fib: Object.fromEntries(FIB.map((f, i) => [f, round(fibs[i])]))
+  };
+}
+
+export function computeIndicators({ candles, closes, volumes }) {
+  const out = {};
+  const lastOf = (arr) => last(arr) ?? null;
+
+  out.rsi = round(lastOf(RSI.calculate({ values: closes, period: 14 })), 2);
+
+  const macd = lastOf(MACD.calculate({ values: closes, fastPeriod: 12, slowPeriod: 26, signalPeriod: 9, SimpleMAOscillator: false, SimpleMASignal: false }));
+  out.macd = macd ? { macd: round(macd.MACD), signal: round(macd.signal), histogram: round(macd.histogram) } : null;
+
+  const bb = lastOf(BollingerBands.calculate({ values: closes, period: 20, stdDev: 2 }));
+  out.bollinger = bb ? {
+    upper: round(bb.upper), middle: round(bb.middle), lower: round(bb.lower),
+    percentB: round(bb.pb, 2), width: round((bb.upper - bb.lower) / bb.middle, 2)
+  } : null;
+
+  const ema20 = EMA.calculate({ values: closes, period: 20 });
+  const ema50 = EMA.calculate({ values: closes, period: 50 });
+  const ema200 = EMA.calculate({ values: closes, period: 200 });
+  out.ema = {
+    ema20: round(lastOf(ema20)),
+    ema50: round(lastOf(ema50)),
+    ema200: round(lastOf(ema200)),
+    cross: {
+      '20/50': crossState(ema20, ema50),
+      '50/200': crossState(ema50, ema200)
+    }
+  };
+
+  out.atr = candles.length > 14
+    ? round(lastOf(ATR.calculate({ high: candles.map(c => c.high), low: candles.map(c => c.low), close: candles.map(c => c.close), period: 14 })))
+    : null;
+
+  // market_chart volumes are rolling 24h totals; good enough for OBV direction
+  const n = Math.min(closes.length, volumes.length);
+  const obv = n > 1 ? OBV.calculate({ close: closes.slice(-n), volume: volumes.slice(-n) }) : [];
+  out.obv = obv.length ? { value: round(lastOf(obv)), slope: obv.length > 10 ? Math.sign(lastOf(obv) - obv[obv.length - 11]) : 0 } : null;
+
+  out.volumeChange = volumes.length > 1 && volumes.at(-2) > 0 ? round(volumes.at(-1) / volumes.at(-2) - 1, 2) : null;
+
+  const st = lastOf(StochasticRSI.calculate({ values: closes, rsiPeriod: 14, stochasticPeriod: 14, kPeriod: 3, dPeriod: 3 }));
+  out.stochRsi = st ? { k: round(st.k, 2), d: round(st.d, 2) } : null;
+
+  return out;
+}
+
+async function loadSeries(tokenData, timeframe) {
+  const tf = TIMEFRAMES[timeframe];
+  if (tokenData.id.includes(':')) {
+    // DEX-only tokens: daily closes from Birdeye, no OHLC
+    const closes = timeframe === '1d' && tokenData.contract ? await birdeye.closes(tokenData.contract, 365) : [];
+    return { candles: [], closes, volumes: [] };
+  }
+
+  const [rows, chart] = await Promise.all([
+    coingecko.ohlc(tokenData.id, tf.ohlcDays).catch(e => (console.warn('ohlc fail:', e.message), [])),
+    coingecko.chart(tokenData.id, tf.chartDays, tf.interval).catch(e => (console.warn('chart fail:', e.message), { prices: [], volumes: [] }))
+  ]);
+  return {
+    candles: resampleOhlc(rows, tf.ms),
+    closes: resampleSeries(chart.prices, tf.ms),
+    volumes: resampleSeries(chart.volumes, tf.ms)
+  };
+}
+
+export async function getIndicatorSnapshot(tokenData, timeframe = '1d') {
+  if (!TIMEFRAMES[timeframe]) throw new Error(`Unknown timeframe ${timeframe}`);
+  const series = await loadSeries(tokenData, timeframe);
+  const indicators = computeIndicators(series);
+  const levels = computeLevels(tokenData.price, series.candles, indicators.atr);
+
+  return {
+    timeframe,
+    bars: { candles: series.candles.length, closes: series.closes.length },
+    indicators,
+    levels: Object.fromEntries(Object.entries(levels).map(([k, v]) => [k, typeof v === 'number' ? round(v) : v])),
+    time: new Date().toISOString()
+  };
+}
@@ -0,0 +1,157 @@
+// Structured oracle insight: the model returns JSON { quote, analysis, levels }, we check it against
+// the computed data and either accept it, retry with the rejection reasons, or fall back to the template.
+
+export const INSIGHT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['quote', 'analysis', 'levels'],
+  properties: {
+    quote: { type: 'string', description: 'One mystical sentence, no quotation marks' },
+    analysis: { type: 'string', description: '2-3 sentences on the key levels and what would trigger a move' },
+    levels: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['threshold', 'echoRim', 'invalidation'],
+      properties: {
+        threshold: { type: 'number' },
+        echoRim: { type: 'number' },
+        invalidation: { type: 'number' }
+      }
+    }
+  }
+};
+
+export const LIMITS = { quote: 140, analysis: 320 };
+const TOLERANCE = 0.02;
+// Fib cutoffs, RSI bands and round ratios the analysis may quote without them being in the data
+const ALLOWED_CONSTANTS = [0.236, 0.382, 0.5, 0.618, 0.786, 1.618, 23.6, 38.2, 50, 61.8, 78.6, 100, 30, 70];
+
+const ADVICE = [
+  /\b(you|we|i) (should|must|need to) (buy|sell|ape|long|short)\b/i,
+  /\b(buy|sell|long|short) (now|here|immediately)\b/i,
+  /\bguarantee[ds]?\b/i,
+  /\brisk[- ]free\b/i,
+  /\b(can'?t|cannot|won'?t) lose\b/i,
+  /\b(financial|investment) advice\b/i,
+  /\bnot financial advice\b/i,
+  /\b\d+x (gains?|returns?|from here)\b/i
+];
+
+export function formatInstruction(facts) {
+  return `
+
+Respond with JSON only, no prose around it:
+{"quote": "<one sentence, max ${LIMITS.quote} chars, no quotation marks>", "analysis": "<2-3 sentences, max ${LIMITS.analysis} chars>", "levels": {"threshold": ${facts.threshold}, "echoRim": ${facts.echoRim}, "invalidation": ${facts.invalidation}}}
+Only use these numbers: price ${facts.price}, 24h change ${facts.change24h}%, RSI ${facts.rsi}, threshold ${facts.threshold}, echo rim ${facts.echoRim}, support ${facts.invalidation}. No buy/sell calls.`;
+}
+
+// Tolerates code fences and chatter around the object
+export function parseInsight(raw) {
+  const text = String(raw || '').trim();
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start < 0 || end <= start) return { error: 'response was not JSON' };
+  try {
+    return { value: JSON.parse(text.slice(start, end + 1)) };
+  } catch (e) {
+    return { error: `invalid JSON (${e.message})` };
+  }
+}
+
+const near = (a, b) => {
+  if (!isFinite(a) || !isFinite(b)) return false;
+  if (b === 0) return Math.abs(a) < 1e-9;
+  return Math.abs(a - b) / Math.abs(b) <= TOLERANCE;
+};
+
+// "$0.00231", "1.2k", "-4.5%", "3.4M" -> numbers; skips timeframes (24h, 7d) and names like EMA50
+export function extractNumbers(text) {
+  const out = [];
+  const re = /(^|[^A-Za-z0-9.])(-|\+)?\$?(\d[\d,]*(?:\.\d+)?|\.\d+)\s*([kmb](?![a-z])|%|[hdw](?![a-z]))?/gi;
+  let m;
+  while ((m = re.exec(String(text || '')))) {
+    const unit = (m[4] || '').toLowerCase();
+    if (['h', 'd', 'w'].includes(unit)) continue;
+    let n = parseFloat(m[3].replace(/,/g, ''));
+    if (unit === 'k') n *= 1e3;
+    if (unit === 'm') n *= 1e6;
+    if (unit === 'b') n *= 1e9;
+    out.push({ raw: m[0].slice(m[1].length).trim(), value: m[2] === '-' ? -n : n, percent: unit === '%' });
+  }
+  return out;
+}
+
+export function validateInsight(value, facts, { banned = [] } = {}) {
+  const reasons = [];
+  if (!value || typeof value !== 'object') return ['response was not an object'];
+
+  const quote = typeof value.quote === 'string' ? value.quote.replace(/^["“]|["”]$/g, '').trim() : '';
+  const analysis = typeof value.analysis === 'string' ? value.analysis.trim() : '';
+  if (!quote) reasons.push('missing quote');
+  if (quote.length > LIMITS.quote) reasons.push(`quote is ${quote.length} chars (max ${LIMITS.quote})`);
+  if (!analysis) reasons.push('missing analysis');
+  if (analysis.length > LIMITS.analysis) reasons.push(`analysis is ${analysis.length} chars (max ${LIMITS.analysis})`);
+
+  for (const key of ['threshold', 'echoRim', 'invalidation']) {
+    const v = Number(value.levels?.[key]);
+    if (!near(v, facts[key])) reasons.push(`levels.${key} ${value.levels?.[key]} does not match ${facts[key]}`);
+  }
+
+  const known = [facts.price, facts.threshold, facts.echoRim, facts.invalidation, facts.rsi, facts.volume, facts.marketCap]
+    .filter(v => isFinite(v));
+  for (const n of extractNumbers(`${quote} ${analysis}`)) {
+    const abs = Math.abs(n.value);
+    const ok = n.percent
+      ? near(n.value, facts.change24h) || near(abs, Math.abs(facts.change24h)) || ALLOWED_CONSTANTS.includes(abs) || near(abs, facts.rsi)
+      : known.some(k => near(abs, Math.abs(k))) || ALLOWED_CONSTANTS.includes(abs) || (Number.isInteger(abs) && abs <= 10);
+    if (!ok) reasons.push(`"${n.raw}" is not in the data`);
+  }
+
+  const text = `${quote} ${analysis}`;
+  for (const phrase of banned) {
+    if (text.toLowerCase().includes(String(phrase).toLowerCase())) reasons.push(`banned phrase "${phrase}"`);
+  }
+  for (const re of ADVICE) {
+    const hit = text.match(re);
+    if (hit) reasons.push(`financial-advice language "${hit[0]}"`);
+  }
+
+  return reasons.length ? reasons : null;
+}
+
+/*
+ * ask(messages) -> raw model text. Tries 1 + retries times, feeding the rejection reasons back each time.
+ * Returns { quote, analysis, levels, source: 'model' | 'fallback', attempts: [{ attempt, ok, reasons }] }.
+ */
+export async function requestInsight({ ask, prompt, facts, fallback, banned = [], retries = 2 }) {
+  const messages = [{ role: 'system', content: prompt + formatInstruction(facts) }];
+  const attempts = [];
+
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    let raw;
+    try {
+      raw = await ask(messages);
+    } catch (e) {
+      attempts.push({ attempt, ok: false, reasons: [`model error: ${e.message}`] });
+      break;
+    }
+
+    const { value, error } = parseInsight(raw);
+    const reasons = error ? [error] : validateInsight(value, facts, { banned });
+    attempts.push({ attempt, ok: !reasons, reasons: reasons || [] });
+    if (!reasons) {
+      return {
+        quote: value.quote.replace(/^["“]|["”]$/g, '').trim(),
+        analysis: value.analysis.trim(),
+        levels: value.levels,
+        source: 'model',
+        attempts
+      };
+    }
+
+    messages.push({ role: 'assistant', content: String(raw) });
+    messages.push({ role: 'user', content: `Rejected: ${reasons.join('; ')}. Fix these and reply with the JSON object only.` });
+  }
+
+  return { ...fallback, levels: { threshold: facts.threshold, echoRim: facts.echoRim, invalidation: facts.invalidation }, source: 'fallback', attempts };
+}
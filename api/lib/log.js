@@ -0,0 +1,46 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/*
+ * Structured logs: one JSON object per line, tagged with the cron run (id, cron, stage) when there is one.
+ * LOG_FORMAT=pretty prints "[cron run] message key=value" for local development instead.
+ */
+export const runContext = new AsyncLocalStorage();
+
+const sink = (level) => level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+
+// Strips query strings and path tokens (Telegram /bot<token>, Discord webhook tokens) so secrets never reach a log line or a stored run
+export function redact(text) {
+  return String(text ?? '')
+    .replace(/(https?:\/\/[^\s?#]+)\?[^\s#]*/g, '$1')
+    .replace(/\/bot\d+:[\w-]+/g, '/bot<redacted>')
+    .replace(/\/webhooks\/(\d+)\/[\w-]+/g, '/webhooks/$1/<redacted>')
+    .slice(0, 500);
+}
+
+function plain(fields) {
+  const out = {};
+  for (const [k, v] of Object.entries(fields)) {
+    if (v === undefined) continue;
+    out[k] = v instanceof Error ? redact(v.message) : v;
+  }
+  return out;
+}
+
+function write(level, msg, fields = {}) {
+  const ctx = runContext.getStore();
+  const tags = ctx ? { run: ctx.run.id, cron: ctx.run.cron, ...(ctx.stage ? { stage: ctx.stage.name } : {}) } : {};
+  const data = plain(fields);
+
+  if (process.env.LOG_FORMAT === 'pretty') {
+    const prefix = ctx ? `[${ctx.run.cron} ${ctx.run.id}${ctx.stage ? ` ${ctx.stage.name}` : ''}] ` : '';
+    const rest = Object.entries(data).map(([k, v]) => `${k}=${typeof v === 'object' ? JSON.stringify(v) : v}`).join(' ');
+    return sink(level)(`${prefix}${msg}${rest ? ` ${rest}` : ''}`);
+  }
+  sink(level)(JSON.stringify({ time: new Date().toISOString(), level, msg, ...tags, ...data }));
+}
+
+export const log = {
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
@@ -0,0 +1,117 @@
+import { RSI } from 'technicalindicators';
+import * as coingecko from './providers/coingecko.js';
+import * as dexscreener from './providers/dexscreener.js';
+import * as birdeye from './providers/birdeye.js';
+
+// Normalized TokenData shared by post, reply and the pages
+const FIELDS = [
+  'symbol', 'name', 'price', 'volumeUSD', 'marketCap', 'fdv', 'circulatingSupply',
+  'totalSupply', 'holders', 'change24h', 'liquidityUSD'
+];
+
+// Per-field provider preference; anything not listed follows the order partials were fetched in
+const PREFER = {
+  holders: ['birdeye', 'coingecko'],
+  liquidityUSD: ['dexscreener', 'birdeye']
+};
+
+const ADDRESS_ID = /^(solana|ethereum|base|bsc|arbitrum):(.+)$/;
+
+const usable = (v) => typeof v === 'string' ? v.length > 0 : typeof v === 'number' && isFinite(v);
+
+export function mergeTokenData(partials) {
+  const out = { sources: {} };
+  for (const field of FIELDS) {
+    const order = PREFER[field]
+      ? [...partials].sort((a, b) => rank(PREFER[field], a.provider) - rank(PREFER[field], b.provider))
+      : partials;
+    const hit = order.find(p => usable(p.data?.[field]));
+    out[field] = hit ? hit.data[field] : null;
+    if (hit) out.sources[field] = hit.provider;
+  }
+  return out;
+}
+
+function rank(order, provider) {
+  const i = order.indexOf(provider);
+  return i === -1 ? order.length : i;
+}
+
+async function attempt(provider, fn) {
+  try {
+    return { provider, data: await fn() };
+  } catch (e) {
+    console.warn(`${provider} fail:`, e.message);
+    return { provider, data: null };
+  }
+}
+
+export function computeRsi(closes, period = 14) {
+  if (closes.length < period + 1) return null;
+  const last = RSI.calculate({ values: closes, period }).at(-1);
+  return typeof last === 'number' && !isNaN(last) ? Math.round(last) : null;
+}
+
+export async function getTrendingTokens(limit = 7) {
+  try {
+    return await coingecko.trending(limit);
+  } catch (e) {
+    console.warn('trending fail:', e.message);
+    return [];
+  }
+}
+
+// id is a CoinGecko id, or "<chain>:<address>" for tokens CoinGecko doesn't list
+export async function getTokenDataById(id) {
+  const addr = id.match(ADDRESS_ID);
+  const partials = [];
+  let contract = addr ? { chain: addr[1], address: addr[2] } : null;
+
+  if (!addr) {
+    const cg = await attempt('coingecko', () => coingecko.token(id));
+    partials.push(cg);
+    contract = cg.data?.contract || null;
+  }
+  if (contract) {
+    partials.push(await attempt('dexscreener', () => dexscreener.token(contract)));
+    if (birdeye.enabled()) partials.push(await attempt('birdeye', () => birdeye.token(contract)));
+  }
+
+  const merged = mergeTokenData(partials.filter(p => p.data));
+  if (!usable(merged.price)) {
+    console.warn(`token fail: no price for ${id}`);
+    return null;
+  }
+
+  const hist = !addr
+    ? await attempt('coingecko', () => coingecko.closes(id, 30))
+    : await attempt('birdeye', () => birdeye.closes(contract, 30));
+  let closes = hist.data || [];
+  if (!closes.length && contract && !addr) closes = (await attempt('birdeye', () => birdeye.closes(contract, 30))).data || [];
+
+  return {
+    ...merged,
+    symbol: (merged.symbol || id).toUpperCase(),
+    name: merged.name || merged.symbol || id,
+    rsi: computeRsi(closes),
+    categories: partials.find(p => p.data?.categories?.length)?.data.categories || [],
+    id,
+    contract
+  };
+}
+
+// Resolves a mention reference to a TokenData id; falls back to DEX listings for contracts
+export async function resolveContract(platforms, address) {
+  for (const platform of platforms) {
+    const hit = await attempt('coingecko', () => coingecko.byContract(platform, address));
+    if (hit.data) return hit.data;
+  }
+  const chain = platforms[0] === 'solana' ? 'solana' : null;
+  const dex = await attempt('dexscreener', () => dexscreener.token({ chain, address }));
+  if (dex.data?.symbol && ADDRESS_ID.test(`${dex.data.chain}:${address}`)) {
+    return { id: `${dex.data.chain}:${address}`, symbol: dex.data.symbol };
+  }
+  return null;
+}
+
+export { coingecko, dexscreener, birdeye };
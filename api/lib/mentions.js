@@ -0,0 +1,58 @@
+import { coingecko, resolveContract } from './market.js';
+
+const EVM_PLATFORMS = ['ethereum', 'base', 'binance-smart-chain', 'arbitrum-one', 'polygon-pos'];
+
+// Pulls $TICKERs, CoinGecko ids (coin URLs or cg:<id>) and contract addresses out of a mention
+export function extractTokenRefs(text = '') {
+  const clean = text.replace(/@\w+/g, ' ');
+  const refs = [];
+  const seen = new Set();
+  const push = (ref) => {
+    const k = `${ref.type}:${ref.value.toLowerCase()}`;
+    if (!seen.has(k)) { seen.add(k); refs.push(ref); }
+  };
+
+  for (const m of clean.matchAll(/coingecko\.com\/(?:[a-z]{2}\/)?coins\/([a-z0-9-]+)/gi)) push({ type: 'id', value: m[1].toLowerCase() });
+  for (const m of clean.matchAll(/\bcg:([a-z0-9-]+)/gi)) push({ type: 'id', value: m[1].toLowerCase() });
+  for (const m of clean.matchAll(/\b0x[a-fA-F0-9]{40}\b/g)) push({ type: 'evm', value: m[0] });
+  for (const m of clean.matchAll(/\b[1-9A-HJ-NP-Za-km-z]{32,44}\b/g)) push({ type: 'solana', value: m[0] });
+  for (const m of clean.matchAll(/\$([A-Za-z][A-Za-z0-9]{1,11})\b/g)) push({ type: 'ticker', value: m[1].toUpperCase() });
+
+  return refs;
+}
+
+export async function resolveTokenRef(ref) {
+  try {
+    if (ref.type === 'id') {
+      const t = await coingecko.token(ref.value);
+      return t ? { id: t.id, symbol: t.symbol } : null;
+    }
+    if (ref.type === 'evm') return await resolveContract(EVM_PLATFORMS, ref.value);
+    if (ref.type === 'solana') return await resolveContract(['solana'], ref.value);
+
+    // Ticker: exact symbol match, best market-cap rank wins
+    const hit = (await coingecko.search(ref.value))
+      .filter(c => c.symbol?.toUpperCase() === ref.value)
+      .sort((a, b) => (a.market_cap_rank ?? Infinity) - (b.market_cap_rank ?? Infinity))[0];
+    return hit ? { id: hit.id, symbol: hit.symbol.toUpperCase() } : null;
+  } catch (e) {
+    if (e.status !== 404) console.warn('token resolve fail:', e.message);
+    return null;
+  }
+}
+
+export function unknownTokenReply(ref) {
+  const label = ref.type === 'ticker' ? `$${ref.value}` : ref.value.length > 20 ? `${ref.value.slice(0, 6)}…${ref.value.slice(-4)}` : ref.value;
+  return `The mirror finds no reflection for ${label} yet. Send a $TICKER, a CoinGecko link or a contract address and I'll read it.`;
+}
+
+// Persistent reply bookkeeping: replied set, mention cursor, per-day caps
+export function replyLimits(state, authorId, now = Date.now(), {
+  perAuthor = Number(process.env.REPLY_MAX_PER_AUTHOR || 2),
+  perDay = Number(process.env.REPLY_MAX_PER_DAY || 96)
+} = {}) {
+  const day = (state.log || []).filter(l => now - new Date(l.at).getTime() < 24 * 60 * 60 * 1000);
+  if (day.length >= perDay) return 'daily cap';
+  if (day.filter(l => l.authorId === authorId).length >= perAuthor) return 'author cap';
+  return null;
+}
@@ -0,0 +1,125 @@
+import { getStore, withLock } from './store.js';
+import { getTokenDataById } from './market.js';
+import { identifyArchetype } from './oracle.js';
+import { seedFor } from './oracle-metrics.js';
+
+const KEY = 'migrations';
+const MAX = 500;
+const WSOL = 'So11111111111111111111111111111111111111112';
+export const METHODS = { migrate_to_amm: 'Raydium AMM', migrate_to_cpswap: 'Raydium CPSwap' };
+
+export const MIGRATION_QUERY = `
+  subscription {
+    Solana {
+      Instructions(
+        where: {
+          Instruction: {
+            Program: {
+              Address: { is: "LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj" },
+              Method: { in: ["migrate_to_amm", "migrate_to_cpswap"] }
+            }
+          },
+          Transaction: { Result: { Success: true } }
+        }
+      ) {
+        Block { Time }
+        Instruction {
+          Program { Method }
+          Accounts {
+            Token { Mint }
+          }
+        }
+        Transaction { Signature }
+      }
+    }
+  }
+`;
+
+// Bitquery payload -> [{ mint, method, signature, blockTime }]; the token mint is the first non-SOL account mint
+export function parseMigrationEvents(payload) {
+  const rows = payload?.data?.Solana?.Instructions || [];
+  return rows.map(row => {
+    const mints = (row?.Instruction?.Accounts || []).map(a => a?.Token?.Mint).filter(m => m && m !== WSOL);
+    const signature = row?.Transaction?.Signature;
+    const mint = mints.find(m => m.endsWith('pump')) || mints[0];
+    if (!mint || !signature) return null;
+    const time = row?.Block?.Time ? new Date(row.Block.Time) : null;
+    return {
+      mint,
+      method: row?.Instruction?.Program?.Method || null,
+      signature,
+      blockTime: time && !isNaN(time) ? time.toISOString() : null
+    };
+  }).filter(Boolean);
+}
+
+export function validEvent(e) {
+  return !!e && /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(e.mint || '') && typeof e.signature === 'string' && e.signature.length >= 32;
+}
+
+// Market data for a freshly migrated mint is often thin; a missing lookup still records the event
+export async function enrichMigration(event) {
+  let tokenData = null;
+  try {
+    tokenData = await getTokenDataById(`solana:${event.mint}`);
+  } catch (e) {
+    console.warn(`migration enrich fail (${event.mint}):`, e.message);
+  }
+  const symbol = tokenData?.symbol || null;
+  const archetype = tokenData ? identifyArchetype({
+    symbol,
+    rsi: tokenData.rsi ?? 50,
+    volume: tokenData.volumeUSD,
+    seed: seedFor(symbol).seed
+  }) : null;
+
+  return {
+    id: event.signature,
+    ...event,
+    venue: METHODS[event.method] || null,
+    symbol,
+    name: tokenData?.name || null,
+    price: tokenData?.price ?? null,
+    liquidityUSD: tokenData?.liquidityUSD ?? null,
+    marketCap: tokenData?.marketCap ?? null,
+    volumeUSD: tokenData?.volumeUSD ?? null,
+    rsi: tokenData?.rsi ?? null,
+    archetype,
+    detectedAt: new Date().toISOString()
+  };
+}
+
+export async function listMigrations({ limit } = {}) {
+  const all = (await getStore().get(KEY)) || [];
+  return limit ? all.slice(0, limit) : all;
+}
+
+// Returns false when the signature was already recorded
+export async function recordMigration(record) {
+  return withLock(KEY, async (store) => {
+    const all = (await store.get(KEY)) || [];
+    if (all.some(m => m.id === record.id)) return false;
+    all.unshift(record);
+    await store.set(KEY, all.slice(0, MAX));
+    return true;
+  });
+}
+
+export async function markMigrationPosted(id, tweetId, channels = null) {
+  return withLock(KEY, async (store) => {
+    const all = (await store.get(KEY)) || [];
+    const m = all.find(x => x.id === id);
+    if (!m) return;
+    m.postedTweetId = tweetId;
+    m.postedChannels = channels;
+    await store.set(KEY, all);
+  });
+}
+
+export async function ingestMigration(event) {
+  const existing = (await listMigrations()).find(m => m.id === event.signature);
+  if (existing) return { record: existing, fresh: false };
+  const record = await enrichMigration(event);
+  const fresh = await recordMigration(record);
+  return { record, fresh };
+}
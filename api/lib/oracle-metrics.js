@@ -0,0 +1,53 @@
+import { createHash } from 'crypto';
+
+export const SEED_BUCKET_MS = 60 * 60 * 1000;
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+const num = (v, d = 0) => typeof v === 'number' && isFinite(v) ? v : d;
+
+// Same symbol inside the same hour -> same seed; stored with each signal for replay
+export function seedFor(symbol = '', time = Date.now(), bucketMs = SEED_BUCKET_MS) {
+  const bucket = Math.floor(new Date(time).getTime() / bucketMs);
+  const seed = createHash('sha256').update(`${symbol.toUpperCase()}:${bucket}`).digest('hex').slice(0, 16);
+  return { seed, bucket };
+}
+
+// mulberry32 over the first 32 bits of the seed
+export function rngFromSeed(seed) {
+  let a = parseInt(seed.slice(0, 8), 16) >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/*
+ * Δ-Key       1 ± price velocity (%/h) and volume change, nudged by Kp; 0.50–2.50
+ * Phase Drift price velocity projected on the lunar angle (cos), per hour; ±0.0250
+ * omega       lunar angle mapped onto 0–998, offset by seeded entropy
+ * delta       Kp tens + volume-change units; 0–98
+ */
+export function computeOracleMetrics({ symbol, change24h, volumeChange, angle, kp, seed }) {
+  const velocity = num(change24h) / 24;
+  const volDelta = clamp(num(volumeChange), -1, 3);
+  const theta = num(angle) * Math.PI / 180;
+  const k = clamp(num(kp), 0, 9);
+  const rng = rngFromSeed(seed || seedFor(symbol).seed);
+
+  const deltaKey = clamp(1 + velocity * 0.25 + volDelta * 0.5 + (k - 3) * 0.05, 0.5, 2.5);
+  const phaseDrift = clamp((velocity / 100) * Math.cos(theta), -0.025, 0.025);
+  const omega = (Math.floor(num(angle) / 360 * 900) + Math.floor(rng() * 99)) % 999;
+  const delta = clamp(Math.floor(k) * 10 + Math.min(9, Math.round(Math.abs(volDelta) * 9)), 0, 98);
+
+  return {
+    deltaKey: deltaKey.toFixed(2),
+    phaseDrift: phaseDrift.toFixed(4),
+    omega,
+    delta,
+    seed: seed || seedFor(symbol).seed,
+    inputs: { symbol, change24h: num(change24h), volumeChange: num(volumeChange), angle: num(angle), kp: k }
+  };
+}
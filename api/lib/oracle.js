@@ -0,0 +1,51 @@
+import { rngFromSeed, seedFor } from './oracle-metrics.js';
+
+export function getLunarMessage(phase, overrides = {}) {
+  const map = {
+    "New Moon": "New pattern forming — wait, don't act.",
+    "Waxing Crescent": "Conviction forming. Early risk finds momentum.",
+    "First Quarter": "Signal friction. Cut noise.",
+    "Waxing Gibbous": "Belief climbing — echo gaining mass.",
+    "Full Moon": "Full sentiment — prepare for reversal.",
+    "Waning Gibbous": "Decompression — profit + shadow emerge.",
+    "Last Quarter": "Ritual endings. Retest mind.",
+    "Waning Crescent": "Fading signal — prepare to receive anew."
+  };
+  return overrides?.[phase] || map[phase] || "Lunar unknown — silence reverberates.";
+}
+
+export function getLunarPatternTierFromAngle(angle) {
+  if (angle < 22.5) return { tier: "Veil", glyph: "⟡", signal: "Nothing reveals — pause, dream." };
+  if (angle < 67.5) return { tier: "Whisper", glyph: "~", signal: "Pre-signal buildup." };
+  if (angle < 112.5) return { tier: "Charge", glyph: "⇌", signal: "Conviction forming." };
+  if (angle < 157.5) return { tier: "Charge", glyph: "⇌", signal: "Momentum accelerating." };
+  if (angle < 202.5) return { tier: "Overglow", glyph: "☄", signal: "Full sentiment — likely reversal." };
+  if (angle < 247.5) return { tier: "Echofield", glyph: "⟟", signal: "Echo still resonates." };
+  if (angle < 292.5) return { tier: "Whisper", glyph: "~", signal: "Decline forming quietly." };
+  return { tier: "Veil", glyph: "⟡", signal: "Signal fading — prepare anew." };
+}
+
+export function identifyArchetype({ symbol = '', rsi = 50, volume = 0, seed }) {
+  const v = parseFloat(volume) || 0;
+  if (rsi < 23.6) return 'shadow';
+  if (rsi < 38.2) return v > 10000000 ? 'trickster' : 'observer';
+  if (rsi < 50) return 'echo';
+  if (rsi < 61.8) return 'seer';
+  if (rsi < 78.6) return 'guardian';
+  if (rsi >= 78.6 && symbol.includes('SOL')) return 'prophet';
+  if (symbol.includes('BONK')) return rngFromSeed(seed || seedFor(symbol).seed)() > 0.3 ? 'cultist' : 'trickster';
+  return 'seer';
+}
+
+export function quoteFromArchetype(a) {
+  return {
+    prophet: "Pulse fractures the veil of noise.",
+    trickster: "No signal survives unshaped.",
+    observer: "Look through, not at.",
+    seer: "Momentum follows myth. Trade accordingly.",
+    cultist: "Ritual reveals reversal.",
+    guardian: "Thresholds hold until echo breaks.",
+    shadow: "Down here, even silence wails.",
+    echo: "Price remembers what mind forgets."
+  }[a] || "Conviction preempts price.";
+}
@@ -0,0 +1,153 @@
+import { birdeye, coingecko } from './market.js';
+
+const HOUR = 60 * 60 * 1000;
+export const CHECKPOINTS = [['24h', 24 * HOUR], ['72h', 72 * HOUR], ['7d', 7 * 24 * HOUR]];
+// A read whose price path keeps coming back empty is retried every MISS_RETRY and dropped after MAX_MISSES,
+// so it can't hold a slot in the cron's batch forever
+export const MAX_MISSES = 5;
+const MISS_RETRY = 6 * HOUR;
+
+// Signals recorded before level snapshots used the fixed multipliers
+export function levelsOf(signal) {
+  const p = signal.price;
+  const l = signal.levels || {};
+  return {
+    threshold: l.threshold ?? p * 1.05,
+    echoRim: l.echoRim ?? p * 1.15,
+    invalidation: l.invalidation ?? p * 0.96
+  };
+}
+
+export function dueCheckpoints(signal, now = Date.now()) {
+  if (!signal.tokenId || !(signal.price > 0) || signal.outcome?.resolved || signal.outcome?.abandoned) return [];
+  const { misses, lastTriedAt } = signal.outcome || {};
+  if (misses && now < Date.parse(lastTriedAt) + MISS_RETRY) return [];
+  const t0 = new Date(signal.timestamp).getTime();
+  const done = signal.outcome?.checks || {};
+  return CHECKPOINTS.filter(([name, ms]) => !done[name] && now >= t0 + ms);
+}
+
+// First time each level was touched along the path, then the verdict for the read
+export function scoreSignal(signal, series, now = Date.now()) {
+  const t0 = new Date(signal.timestamp).getTime();
+  const { threshold, echoRim, invalidation } = levelsOf(signal);
+  // A scored path clears the no-data count
+  const { misses, lastTriedAt, ...prev } = signal.outcome || {};
+  const checks = { ...prev.checks };
+  const firstHit = { ...prev.firstHit };
+
+  const path = series.filter(([t]) => t >= t0).sort((a, b) => a[0] - b[0]);
+  for (const [t, p] of path) {
+    const at = new Date(t).toISOString();
+    if (p >= threshold && !firstHit.threshold) firstHit.threshold = at;
+    if (p >= echoRim && !firstHit.echoRim) firstHit.echoRim = at;
+    if (p <= invalidation && !firstHit.invalidation) firstHit.invalidation = at;
+  }
+
+  for (const [name, ms] of CHECKPOINTS) {
+    if (checks[name] || now < t0 + ms) continue;
+    const upto = path.filter(([t]) => t <= t0 + ms);
+    if (!upto.length) continue;
+    const prices = upto.map(([, p]) => p);
+    const close = prices[prices.length - 1];
+    checks[name] = {
+      at: new Date(upto[upto.length - 1][0]).toISOString(),
+      price: close,
+      return: +((close / signal.price - 1) * 100).toFixed(2),
+      high: Math.max(...prices),
+      low: Math.min(...prices),
+      hitThreshold: Math.max(...prices) >= threshold,
+      hitEchoRim: Math.max(...prices) >= echoRim,
+      hitInvalidation: Math.min(...prices) <= invalidation
+    };
+  }
+
+  const before = (a, b) => a && (!b || a <= b);
+  let result = 'neutral';
+  if (before(firstHit.threshold, firstHit.invalidation)) result = firstHit.echoRim ? 'echo' : 'threshold';
+  else if (firstHit.invalidation) result = 'invalidated';
+
+  return {
+    ...prev,
+    levels: { threshold, echoRim, invalidation },
+    checks,
+    firstHit,
+    result,
+    resolved: !!checks['7d'],
+    updatedAt: new Date(now).toISOString()
+  };
+}
+
+// No price data this time: count it, and give up on the read after MAX_MISSES in a row
+export function missedOutcome(signal, now = Date.now()) {
+  const prev = signal.outcome || {};
+  const misses = (prev.misses || 0) + 1;
+  return {
+    ...prev,
+    misses,
+    lastTriedAt: new Date(now).toISOString(),
+    ...(misses >= MAX_MISSES ? { abandoned: true } : {})
+  };
+}
+
+export async function fetchPricePath(signal, toMs) {
+  const fromMs = new Date(signal.timestamp).getTime();
+  const [chain, address] = signal.tokenId.includes(':') ? signal.tokenId.split(':') : [];
+  if (address) return birdeye.range({ chain, address }, fromMs, toMs);
+  return coingecko.range(signal.tokenId, fromMs, toMs);
+}
+
+const rate = (n, d) => d ? +((n / d) * 100).toFixed(1) : null;
+
+function tally(signals) {
+  const resolved = signals.filter(s => s.outcome?.resolved);
+  const count = (r) => resolved.filter(s => s.outcome.result === r).length;
+  const returns = resolved.map(s => s.outcome.checks?.['7d']?.return).filter(v => typeof v === 'number');
+  return {
+    resolved: resolved.length,
+    pending: signals.filter(s => s.outcome && !s.outcome.resolved).length,
+    accuracy: rate(count('threshold') + count('echo'), resolved.length),
+    thresholdRate: rate(resolved.filter(s => s.outcome.firstHit?.threshold).length, resolved.length),
+    echoRate: rate(count('echo'), resolved.length),
+    invalidatedRate: rate(count('invalidated'), resolved.length),
+    avgReturn7d: returns.length ? +(returns.reduce((a, b) => a + b, 0) / returns.length).toFixed(2) : null
+  };
+}
+
+export function accuracyStats(signals) {
+  const scored = signals.filter(s => s.outcome);
+  const by = (keyFn) => {
+    const groups = {};
+    for (const s of scored) {
+      const k = keyFn(s);
+      if (k) (groups[k] ||= []).push(s);
+    }
+    return Object.fromEntries(Object.entries(groups).map(([k, v]) => [k, tally(v)]));
+  };
+  return {
+    overall: tally(scored),
+    byArchetype: by(s => s.archetype),
+    byTier: by(s => s.lunar?.tier)
+  };
+}
+
+const mark = (hit) => hit ? '✓' : '✗';
+
+export function outcomeQuoteText(signal, formatPrice) {
+  const o = signal.outcome;
+  const last = o.checks['7d'] || o.checks['72h'] || o.checks['24h'];
+  const verdict = {
+    echo: 'Echo Rim reached — the mirror held.',
+    threshold: 'Threshold broke; the echo fell short.',
+    invalidated: 'Invalidation hit — the read dissolved.',
+    neutral: 'Neither side gave way. Silence was the signal.'
+  }[o.result];
+  return `◇ ${signal.token} — READ RESOLVED (7d)
+
+Threshold ${formatPrice(o.levels.threshold)} ${mark(o.firstHit.threshold)}
+Echo Rim ${formatPrice(o.levels.echoRim)} ${mark(o.firstHit.echoRim)}
+Invalidation ${formatPrice(o.levels.invalidation)} ${mark(o.firstHit.invalidation)}
+7d: ${last.return > 0 ? '+' : ''}${last.return}%
+
+${verdict}`;
+}
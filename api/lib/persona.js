@@ -0,0 +1,78 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { rngFromSeed } from './oracle-metrics.js';
+
+// Personas live in api/personas/*.json (or PERSONA_DIR); "extends" inherits from another persona by name.
+// Bump "version" whenever a prompt, template or pool changes — it's recorded on every signal.
+const DIR = process.env.PERSONA_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'personas');
+export const DEFAULT_PERSONA = 'alice';
+
+let personas = null;
+
+const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+
+function merge(base, over) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over)) out[k] = isObject(v) && isObject(base[k]) ? merge(base[k], v) : v;
+  return out;
+}
+
+function resolve(raw, name, seen = new Set()) {
+  const p = raw[name];
+  if (!p) throw new Error(`Unknown persona: ${name}`);
+  if (!p.extends) return p;
+  if (seen.has(name)) throw new Error(`Persona cycle at ${name}`);
+  seen.add(name);
+  const { extends: parent, ...own } = p;
+  return merge(resolve(raw, parent, seen), own);
+}
+
+export function loadPersonas({ reload = false } = {}) {
+  if (personas && !reload) return personas;
+  const raw = {};
+  for (const file of fs.readdirSync(DIR).filter(f => f.endsWith('.json'))) {
+    try {
+      const p = JSON.parse(fs.readFileSync(path.join(DIR, file), 'utf8'));
+      raw[p.name || path.basename(file, '.json')] = p;
+    } catch (e) {
+      console.warn(`persona load fail (${file}):`, e.message);
+    }
+  }
+  if (!raw[DEFAULT_PERSONA]) throw new Error(`Missing default persona "${DEFAULT_PERSONA}" in ${DIR}`);
+  personas = Object.fromEntries(Object.keys(raw).map(name => [name, { ...resolve(raw, name), name, extends: raw[name].extends || null }]));
+  return personas;
+}
+
+export function getPersona(name = DEFAULT_PERSONA) {
+  const all = loadPersonas();
+  return all[name] || all[DEFAULT_PERSONA];
+}
+
+// PERSONA pins one persona; otherwise a weighted draw from bits of the post seed the archetype rng doesn't use
+export function assignPersona(seed) {
+  if (process.env.PERSONA) return getPersona(process.env.PERSONA);
+  const pool = Object.values(loadPersonas()).filter(p => (p.weight ?? 0) > 0);
+  if (!pool.length) return getPersona();
+  const total = pool.reduce((sum, p) => sum + p.weight, 0);
+  let r = (seed ? rngFromSeed(seed.slice(8) || seed)() : Math.random()) * total;
+  for (const p of pool) {
+    if ((r -= p.weight) < 0) return p;
+  }
+  return pool[pool.length - 1];
+}
+
+// Templates are strings or arrays of lines; {{key}} placeholders, unknown keys render empty
+export function render(template, vars = {}) {
+  const text = Array.isArray(template) ? template.join('\n') : String(template ?? '');
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => vars[key] ?? '');
+}
+
+export function pickQuote(persona, archetype, seed) {
+  const pool = persona?.quotes?.[archetype];
+  if (!pool?.length) return null;
+  const i = seed ? Math.floor(rngFromSeed(seed.slice(4) || seed)() * pool.length) : 0;
+  return pool[i];
+}
+
+export const personaTag = (p) => p ? { name: p.name, version: p.version } : null;
@@ -0,0 +1,49 @@
+import { cached } from '../cache.js';
+import { fetchJson } from '../http.js';
+
+export const name = 'birdeye';
+
+const BASE = 'https://public-api.birdeye.so';
+const headers = (chain) => ({ 'X-API-KEY': process.env.BIRDEYE_API_KEY, 'x-chain': chain || 'solana' });
+
+export const enabled = () => !!process.env.BIRDEYE_API_KEY;
+
+export async function token({ chain, address }) {
+  if (!enabled()) return null;
+  const j = await cached(`be:${address}`, 60000, () =>
+    fetchJson(`${BASE}/defi/token_overview?address=${address}`, { headers: headers(chain) }));
+  const d = j?.data;
+  if (!d) return null;
+
+  return {
+    symbol: d.symbol?.toUpperCase(),
+    name: d.name,
+    price: d.price,
+    volumeUSD: d.v24hUSD,
+    marketCap: d.marketCap ?? d.mc,
+    fdv: d.fdv,
+    circulatingSupply: d.circulatingSupply,
+    totalSupply: d.supply,
+    holders: d.holder,
+    change24h: d.priceChange24hPercent,
+    liquidityUSD: d.liquidity
+  };
+}
+
+export async function closes({ chain, address }, days = 30) {
+  if (!enabled()) return [];
+  const to = Math.floor(Date.now() / 1000);
+  const from = to - days * 86400;
+  const j = await cached(`be:hist:${address}:${days}`, 15 * 60000, () =>
+    fetchJson(`${BASE}/defi/history_price?address=${address}&address_type=token&type=1D&time_from=${from}&time_to=${to}`, { headers: headers(chain) }));
+  return (j?.data?.items || []).map(i => i.value).filter(v => typeof v === 'number' && !isNaN(v));
+}
+
+export async function range({ chain, address }, fromMs, toMs) {
+  if (!enabled()) return [];
+  const from = Math.floor(fromMs / 1000);
+  const to = Math.floor(toMs / 1000);
+  const j = await cached(`be:range:${address}:${from}:${to}`, 10 * 60000, () =>
+    fetchJson(`${BASE}/defi/history_price?address=${address}&address_type=token&type=15m&time_from=${from}&time_to=${to}`, { headers: headers(chain) }));
+  return (j?.data?.items || []).map(i => [i.unixTime * 1000, i.value]);
+}
@@ -0,0 +1,96 @@
+import { cached } from '../cache.js';
+import { fetchJson } from '../http.js';
+
+// COINGECKO_API_PLAN=pro switches host + header; any other key is treated as a Demo key
+function endpoint() {
+  const key = process.env.COINGECKO_API_KEY;
+  const pro = key && process.env.COINGECKO_API_PLAN === 'pro';
+  return {
+    base: pro ? 'https://pro-api.coingecko.com/api/v3' : 'https://api.coingecko.com/api/v3',
+    headers: key ? { [pro ? 'x-cg-pro-api-key' : 'x-cg-demo-api-key']: key } : {}
+  };
+}
+
+// Demo and keyless plans cap market_chart at the last 365 days, days=max included; Pro returns the full history
+export function historyLimitDays() {
+  return endpoint().base.includes('pro-api') ? null : 365;
+}
+
+export function cgGet(path, ttlMs = 60000) {
+  const { base, headers } = endpoint();
+  return cached(`cg:${path}`, ttlMs, () => fetchJson(`${base}${path}`, { headers }));
+}
+
+export const name = 'coingecko';
+
+// Uncached, single try: used by the status probe
+export function ping() {
+  const { base, headers } = endpoint();
+  return fetchJson(`${base}/ping`, { headers, retries: 0, timeout: 5000 });
+}
+
+const CHAIN_ALIASES = { 'binance-smart-chain': 'bsc', 'arbitrum-one': 'arbitrum' };
+
+export async function trending(limit = 7) {
+  const j = await cgGet('/search/trending', 5 * 60000);
+  return (j?.coins || []).slice(0, limit).map(c => ({ id: c.item.id, symbol: c.item.symbol.toUpperCase() }));
+}
+
+export async function search(query) {
+  const j = await cgGet(`/search?query=${encodeURIComponent(query)}`, 60 * 60000);
+  return j?.coins || [];
+}
+
+export async function byContract(platform, address) {
+  const j = await cgGet(`/coins/${platform}/contract/${address}`, 60 * 60000);
+  return j?.id ? { id: j.id, symbol: j.symbol?.toUpperCase() } : null;
+}
+
+export async function token(id) {
+  const pj = await cgGet(`/coins/${id}?localization=false&market_data=true&tickers=false&developer_data=false`);
+  const md = pj?.market_data;
+  if (!pj?.id) return null;
+
+  const platforms = pj.platforms || {};
+  const chain = ['solana', 'ethereum', 'base', 'binance-smart-chain', 'arbitrum-one'].find(p => platforms[p]);
+
+  return {
+    id: pj.id,
+    symbol: pj.symbol?.toUpperCase(),
+    name: pj.name,
+    price: md?.current_price?.usd,
+    volumeUSD: md?.total_volume?.usd,
+    marketCap: md?.market_cap?.usd,
+    fdv: md?.fully_diluted_valuation?.usd,
+    circulatingSupply: md?.circulating_supply,
+    totalSupply: md?.total_supply,
+    holders: pj.community_data?.twitter_followers,
+    change24h: md?.price_change_percentage_24h,
+    categories: (pj.categories || []).filter(Boolean),
+    contract: chain ? { chain: CHAIN_ALIASES[chain] || chain, address: platforms[chain] } : null
+  };
+}
+
+export async function closes(id, days = 30) {
+  const hist = await cgGet(`/coins/${id}/market_chart?vs_currency=usd&days=${days}&interval=daily`, 15 * 60000);
+  return (hist?.prices || []).map(p => p[1]).filter(v => typeof v === 'number' && !isNaN(v));
+}
+
+export async function ohlc(id, days = 30) {
+  const rows = await cgGet(`/coins/${id}/ohlc?vs_currency=usd&days=${days}`, 15 * 60000);
+  return Array.isArray(rows) ? rows : [];
+}
+
+export async function chart(id, days = 30, interval) {
+  const q = interval ? `&interval=${interval}` : '';
+  const j = await cgGet(`/coins/${id}/market_chart?vs_currency=usd&days=${days}${q}`, 15 * 60000);
+  return { prices: j?.prices || [], volumes: j?.total_volumes || [] };
+}
+
+// [t, price] between two instants; CoinGecko picks 5-minute or hourly granularity from the span
+export async function range(id, fromMs, toMs) {
+  const from = Math.floor(fromMs / 1000);
+  const to = Math.floor(toMs / 1000);
+  const j = await cgGet(`/coins/${id}/market_chart/range?vs_currency=usd&from=${from}&to=${to}`, 10 * 60000);
+  return j?.prices || [];
+}
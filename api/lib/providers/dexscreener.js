@@ -0,0 +1,25 @@
+import { cached } from '../cache.js';
+import { fetchJson } from '../http.js';
+
+export const name = 'dexscreener';
+
+// Deepest-liquidity pair for the token on its chain
+export async function token({ chain, address }) {
+  const j = await cached(`dex:${address}`, 60000, () => fetchJson(`https://api.dexscreener.com/latest/dex/tokens/${address}`));
+  const pair = (j?.pairs || [])
+    .filter(p => (!chain || p.chainId === chain) && p.baseToken?.address?.toLowerCase() === address.toLowerCase())
+    .sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))[0];
+  if (!pair) return null;
+
+  return {
+    symbol: pair.baseToken.symbol?.toUpperCase(),
+    name: pair.baseToken.name,
+    price: parseFloat(pair.priceUsd),
+    volumeUSD: pair.volume?.h24,
+    marketCap: pair.marketCap,
+    fdv: pair.fdv,
+    change24h: pair.priceChange?.h24,
+    liquidityUSD: pair.liquidity?.usd,
+    chain: pair.chainId
+  };
+}
@@ -0,0 +1,42 @@
+import { log } from './log.js';
+import x from './publishers/x.js';
+import telegram from './publishers/telegram.js';
+import discord from './publishers/discord.js';
+import farcaster from './publishers/farcaster.js';
+
+export const PUBLISHERS = { x, telegram, discord, farcaster };
+
+/*
+ * A channel is live when its credentials are set, unless PUBLISH_<NAME>=0 turns it off.
+ * Adapters: { name, configured(), format(read) -> channel payload, publish(payload, { image, imageUrl, inReplyTo }) -> { ids, url? } }
+ * A thread that fails part-way throws with the ids already sent on e.ids.
+ */
+export function channelEnabled(p) {
+  if (/^(0|false|off|no)$/i.test(process.env[`PUBLISH_${p.name.toUpperCase()}`] || '')) return false;
+  return p.configured();
+}
+
+export const activeChannels = () => Object.values(PUBLISHERS).filter(channelEnabled);
+
+export function formatForChannels(read, channels = Object.values(PUBLISHERS)) {
+  return Object.fromEntries(channels.map(p => [p.name, p.format(read)]));
+}
+
+// { x: ['…'], telegram: ['…'] } for everything that went out, including the start of a thread that then failed
+export const channelIds = (results) => Object.fromEntries(Object.entries(results).filter(([, r]) => r.ids?.length).map(([name, r]) => [name, r.ids]));
+
+// One read to every channel; a failing channel is recorded and doesn't stop the others
+export async function publishToChannels(read, { image = null, imageUrl = null, channels = activeChannels() } = {}) {
+  const results = {};
+  for (const p of channels) {
+    try {
+      const out = await p.publish(p.format(read), { image, imageUrl });
+      results[p.name] = { ok: true, ...out };
+      log.info('published', { channel: p.name, id: out.ids[0], count: out.ids.length });
+    } catch (e) {
+      results[p.name] = { ok: false, error: String(e.message || e), ...(e.ids?.length ? { ids: e.ids } : {}) };
+      log.warn('publish failed', { channel: p.name, error: e, sent: e.ids?.length || 0 });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,49 @@
+import { Blob, FormData } from 'node-fetch';
+import { composeThread, packParts } from '../composer.js';
+import { postBody } from '../http.js';
+import { PALETTES } from '../sigil.js';
+import { markup } from './markup.js';
+
+// Incoming webhook, one message of embeds: title ≤256, description ≤4096, ≤10 embeds and ≤6000 characters in total
+const TITLE_MAX = 256;
+const DESCRIPTION_MAX = 4096;
+const chars = (s) => s.length;
+
+const escape = (s) => s.replace(/([*_~`|\\])/g, '\\$1');
+const md = (chunk) => markup(chunk, { escape, bold: s => `**${s}**`, italic: s => `*${s}*`, code: s => `\`${s.replace(/`/g, "'")}\`` });
+
+export default {
+  name: 'discord',
+  configured: () => !!process.env.DISCORD_WEBHOOK_URL,
+
+  format(read) {
+    const [header, ...rest] = read.text.split('\n');
+    const body = rest.join('\n').trim();
+    const color = parseInt((PALETTES[read.archetype] || PALETTES.seer).primary.slice(1), 16);
+    const descriptions = packParts(composeThread(body, DESCRIPTION_MAX, chars), DESCRIPTION_MAX, chars).slice(0, 10).map(md);
+    return {
+      embeds: descriptions.map((description, i) => ({
+        ...(i === 0 ? { title: header.slice(0, TITLE_MAX) } : {}),
+        description,
+        color
+      }))
+    };
+  },
+
+  async publish(payload, { image } = {}) {
+    const url = `${process.env.DISCORD_WEBHOOK_URL}${process.env.DISCORD_WEBHOOK_URL.includes('?') ? '&' : '?'}wait=true`;
+    let body = payload;
+    if (image) {
+      const [first, ...rest] = payload.embeds;
+      body = new FormData();
+      body.set('payload_json', JSON.stringify({
+        ...payload,
+        embeds: [{ ...first, image: { url: 'attachment://oracle.png' } }, ...rest],
+        attachments: [{ id: 0, filename: 'oracle.png' }]
+      }));
+      body.set('files[0]', new Blob([image], { type: 'image/png' }), 'oracle.png');
+    }
+    const message = await postBody(url, body, { label: 'discord webhook' });
+    return { ids: [String(message.id)] };
+  }
+};
@@ -0,0 +1,32 @@
+import { composeThread } from '../composer.js';
+import { postBody } from '../http.js';
+
+// Casts through a Neynar-compatible API. Plain text only; the limit is in bytes (320, or 1024 for long casts).
+// Images are embeds by URL, so the poster goes out as its public URL rather than an upload.
+const bytes = (s) => Buffer.byteLength(s, 'utf8');
+const maxBytes = () => Number(process.env.FARCASTER_MAX_BYTES || 320);
+const api = () => (process.env.NEYNAR_API_URL || 'https://api.neynar.com').replace(/\/$/, '');
+
+export default {
+  name: 'farcaster',
+  configured: () => !!(process.env.NEYNAR_API_KEY && process.env.NEYNAR_SIGNER_UUID),
+
+  format: (read) => ({ casts: composeThread(read.text, maxBytes(), bytes) }),
+
+  async publish({ casts }, { imageUrl } = {}) {
+    const hashes = [];
+    for (const [i, text] of casts.entries()) {
+      const body = { signer_uuid: process.env.NEYNAR_SIGNER_UUID, text };
+      if (i === 0 && imageUrl) body.embeds = [{ url: imageUrl }];
+      if (i === 0 && process.env.FARCASTER_CHANNEL) body.channel_id = process.env.FARCASTER_CHANNEL;
+      if (hashes.length) body.parent = hashes[hashes.length - 1];
+      const j = await postBody(`${api()}/v2/farcaster/cast`, body, {
+        headers: { 'x-api-key': process.env.NEYNAR_API_KEY },
+        label: 'farcaster cast'
+      }).catch(e => { throw Object.assign(e, { ids: [...hashes] }); });
+      if (!j?.cast?.hash) throw Object.assign(new Error('farcaster cast: no hash in response'), { ids: [...hashes] });
+      hashes.push(j.cast.hash);
+    }
+    return { ids: hashes };
+  }
+};
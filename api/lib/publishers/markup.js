@@ -0,0 +1,20 @@
+// Shared line rules for channels with rich text: header bold, the quote italic, "Label:" prefixes bold,
+// the line under "Alignment String:" as code (passed raw). Each channel supplies its own wrappers and escaping.
+export function markup(chunk, { header, bold, italic, code, escape = (s) => s }) {
+  let prev = '';
+  return chunk.split('\n').map(line => {
+    const t = line.trim();
+    const after = prev;
+    prev = t;
+    if (!t) return '';
+    if (header && t === header.trim()) return bold(escape(t));
+    if (/^".+"$/.test(t)) return italic(escape(t));
+    if (after === 'Alignment String:') return code(t);
+    if (/:$/.test(t)) return bold(escape(t));
+    const m = t.match(/^([^:]{1,40}):\s+(.+)$/);
+    if (m && !/^https?$/i.test(m[1])) return `${bold(escape(`${m[1]}:`))} ${escape(m[2])}`;
+    return escape(t);
+  }).join('\n');
+}
+
+export const headerOf = (text) => String(text || '').split('\n')[0];
@@ -0,0 +1,63 @@
+import { Blob, FormData } from 'node-fetch';
+import { composeThread, packParts } from '../composer.js';
+import { postBody } from '../http.js';
+import { headerOf, markup } from './markup.js';
+
+// Bot API with HTML parse mode. Limits count the text after entities are parsed, so plain-text length is what matters.
+const CAPTION_MAX = 1024;
+const MESSAGE_MAX = 4096;
+const chars = (s) => s.length;
+
+const api = () => (process.env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/$/, '');
+const escape = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function html(chunk, header) {
+  return markup(chunk, { header, escape, bold: s => `<b>${s}</b>`, italic: s => `<i>${s}</i>`, code: s => `<code>${escape(s)}</code>` });
+}
+
+async function call(method, body) {
+  const j = await postBody(`${api()}/bot${process.env.TELEGRAM_BOT_TOKEN}/${method}`, body, { label: `telegram ${method}` });
+  if (!j?.ok) throw new Error(`telegram ${method}: ${j?.description || 'not ok'}`);
+  return j.result;
+}
+
+export default {
+  name: 'telegram',
+  configured: () => !!(process.env.TELEGRAM_BOT_TOKEN && process.env.TELEGRAM_CHAT_ID),
+
+  // caption + follow-ups when there's a poster; messages when there isn't
+  format(read) {
+    const header = headerOf(read.text);
+    const parts = composeThread(read.text, CAPTION_MAX, chars);
+    return {
+      caption: html(parts[0], header),
+      followUps: packParts(parts.slice(1), MESSAGE_MAX, chars).map(p => html(p, header)),
+      messages: packParts(parts, MESSAGE_MAX, chars).map(p => html(p, header))
+    };
+  },
+
+  async publish(formatted, { image } = {}) {
+    const chatId = process.env.TELEGRAM_CHAT_ID;
+    const ids = [];
+    // Like X, a thread that breaks part-way throws with the messages already out on e.ids
+    const send = (method, body) => call(method, body).catch(e => { throw Object.assign(e, { ids: ids.map(String) }); });
+    let texts = formatted.messages;
+    if (image) {
+      const form = new FormData();
+      form.set('chat_id', chatId);
+      form.set('caption', formatted.caption);
+      form.set('parse_mode', 'HTML');
+      form.set('photo', new Blob([image], { type: 'image/png' }), 'oracle.png');
+      ids.push((await send('sendPhoto', form)).message_id);
+      texts = formatted.followUps;
+    }
+    for (const text of texts) {
+      const result = await send('sendMessage', {
+        chat_id: chatId, text, parse_mode: 'HTML', disable_web_page_preview: true,
+        ...(ids.length ? { reply_to_message_id: ids[0] } : {})
+      });
+      ids.push(result.message_id);
+    }
+    return { ids: ids.map(String) };
+  }
+};
@@ -0,0 +1,50 @@
+import { TwitterApi } from 'twitter-api-v2';
+import { planTweets, publishTweets } from '../composer.js';
+import { log } from '../log.js';
+
+// Built on first use so importing the app never needs X credentials; null when they're missing
+let client;
+
+export function xClient() {
+  if (client !== undefined) return client;
+  client = null;
+  try {
+    const bearer = process.env.X_BEARER_TOKEN;
+    const consumerKey = process.env.X_CONSUMER_KEY;
+    const consumerSecret = process.env.X_CONSUMER_SECRET;
+    const accessToken = process.env.X_ACCESS_TOKEN;
+    const accessSecret = process.env.X_ACCESS_SECRET;
+
+    if (bearer && consumerKey && consumerSecret && accessToken && accessSecret) {
+      client = new TwitterApi({
+        appKey: consumerKey,
+        appSecret: consumerSecret,
+        accessToken,
+        accessSecret,
+      });
+      log.info('x client initialized');
+    } else {
+      log.warn('missing X credentials');
+    }
+  } catch (e) {
+    log.error('x client init failed', { error: e });
+  }
+  return client;
+}
+
+// Swap in another client (a fake in tests); undefined goes back to building from env
+export function setXClient(next) {
+  client = next;
+}
+
+export default {
+  name: 'x',
+  configured: () => !!xClient(),
+  format: (read) => planTweets(read.text),
+  async publish(plan, { image, inReplyTo } = {}) {
+    const rw = xClient();
+    const mediaId = image ? await rw.v1.uploadMedia(image, { mimeType: 'image/png' }) : null;
+    const ids = await publishTweets(rw, plan.tweets, { mediaId, inReplyTo });
+    return { ids, url: `https://x.com/i/status/${ids[0]}` };
+  }
+};
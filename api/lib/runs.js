@@ -0,0 +1,143 @@
+import { randomUUID } from 'crypto';
+import { getStore, withLock } from './store.js';
+import { log, redact, runContext } from './log.js';
+
+/*
+ * One record per cron invocation: id, status, duration and each stage (token, lunar, poster, llm, publish, ...)
+ * with its own duration, error and notes. Kept under the `runs` store key for /api/status.
+ */
+const KEY = 'runs';
+const MAX_RUNS = 300;
+
+// Middleware after cronGuard: opens the run and records it when the handler answers
+export function trackRun(cron) {
+  return (req, res, next) => {
+    const run = { id: randomUUID().slice(0, 8), cron, startedAt: new Date().toISOString(), status: 'running', stages: [] };
+    const started = Date.now();
+    res.locals.run = run;
+    res.setHeader('X-Run-Id', run.id);
+
+    // Persist before the body goes out: serverless instances may be frozen as soon as the response ends
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      finishRun(run, res.statusCode, body, Date.now() - started)
+        .catch(e => console.warn('run record fail:', e.message))
+        .finally(() => json(body && typeof body === 'object' && !Array.isArray(body) ? { ...body, runId: run.id } : body));
+      return res;
+    };
+
+    runContext.run({ run }, () => {
+      log.info('run start', { path: req.path, dryRun: /^(1|true|yes)$/i.test(process.env.DRY_RUN || '') || undefined });
+      next();
+    });
+  };
+}
+
+export function runStatus(httpStatus, body) {
+  if (httpStatus >= 400 || body?.ok === false) return 'failed';
+  if (body?.skipped) return 'skipped';
+  return 'ok';
+}
+
+async function finishRun(run, httpStatus, body, ms) {
+  run.status = runStatus(httpStatus, body);
+  run.httpStatus = httpStatus;
+  run.ms = ms;
+  if (body?.skipped) run.skipped = String(body.skipped);
+  if (run.status === 'failed') run.error = redact(body?.error || `HTTP ${httpStatus}`);
+
+  const fields = { status: run.status, httpStatus, ms, stages: run.stages.length, error: run.error, skipped: run.skipped };
+  runContext.run({ run }, () => (run.status === 'failed' ? log.error : log.info)('run end', fields));
+
+  await withLock(KEY, async (store) => {
+    const runs = (await store.get(KEY)) || [];
+    runs.unshift(run);
+    await store.set(KEY, runs.slice(0, MAX_RUNS));
+  });
+}
+
+/*
+ * Times fn as a stage of the current run and rethrows its error after recording it.
+ * Outside a run (previews, page routes) it just calls fn.
+ */
+export async function stage(name, fn) {
+  const ctx = runContext.getStore();
+  if (!ctx) return fn();
+  const rec = { name, ok: true, ms: 0 };
+  ctx.run.stages.push(rec);
+  const started = Date.now();
+  try {
+    return await runContext.run({ run: ctx.run, stage: rec }, fn);
+  } catch (e) {
+    rec.ok = false;
+    rec.error = redact(e.message || e);
+    throw e;
+  } finally {
+    rec.ms = Date.now() - started;
+    runContext.run({ run: ctx.run, stage: rec }, () => (rec.ok ? log.info : log.warn)('stage', { ms: rec.ms, ok: rec.ok, error: rec.error, ...rec.note }));
+  }
+}
+
+// Extra facts about the stage in progress — a fallback taken, a provider used, a channel that failed
+export function note(fields) {
+  const rec = runContext.getStore()?.stage;
+  if (!rec) return;
+  const clean = (v) => typeof v === 'string' ? redact(v)
+    : Array.isArray(v) ? v.map(clean)
+    : v && typeof v === 'object' ? Object.fromEntries(Object.entries(v).map(([k, x]) => [k, clean(x)]))
+    : v;
+  rec.note = { ...rec.note, ...clean(fields) };
+}
+
+export async function listRuns({ cron, limit } = {}) {
+  let runs = (await getStore().get(KEY)) || [];
+  if (cron) runs = runs.filter(r => r.cron === cron);
+  return limit ? runs.slice(0, limit) : runs;
+}
+
+// Per cron: last run / success / failure and the failure rate over the window (skipped runs don't count)
+export function cronStats(runs, now = Date.now(), windowMs = 24 * 60 * 60 * 1000) {
+  const out = {};
+  for (const r of runs) {
+    const s = out[r.cron] ||= { lastRun: null, lastSuccess: null, lastFailure: null, lastError: null, runs: 0, failures: 0, errorRate: null };
+    s.lastRun ||= { id: r.id, at: r.startedAt, status: r.status, ms: r.ms ?? null };
+    if (r.status === 'ok') s.lastSuccess ||= r.startedAt;
+    if (r.status === 'failed' && !s.lastFailure) {
+      s.lastFailure = r.startedAt;
+      s.lastError = r.error || null;
+    }
+    if (r.status !== 'skipped' && r.status !== 'running' && now - Date.parse(r.startedAt) < windowMs) {
+      s.runs++;
+      if (r.status === 'failed') s.failures++;
+    }
+  }
+  for (const s of Object.values(out)) s.errorRate = s.runs ? Math.round((s.failures / s.runs) * 1000) / 1000 : null;
+  return out;
+}
+
+// Stage failures per stage name over the same window, e.g. { poster: { runs: 4, failures: 1 } }
+export function stageStats(runs, now = Date.now(), windowMs = 24 * 60 * 60 * 1000) {
+  const out = {};
+  for (const r of runs) {
+    if (now - Date.parse(r.startedAt) >= windowMs) continue;
+    for (const st of r.stages || []) {
+      const s = out[st.name] ||= { runs: 0, failures: 0, fallbacks: 0 };
+      s.runs++;
+      if (!st.ok) s.failures++;
+      if (st.note?.fallback) s.fallbacks++;
+    }
+  }
+  return out;
+}
+
+// Latest publish outcome per channel, from the notes publishRead leaves on its stage
+export function lastChannelResults(runs) {
+  const out = {};
+  for (const r of runs) {
+    for (const st of r.stages || []) {
+      if (st.name !== 'publish' || !st.note?.channels) continue;
+      for (const [name, result] of Object.entries(st.note.channels)) out[name] ||= { ...result, at: r.startedAt, run: r.id };
+    }
+  }
+  return out;
+}
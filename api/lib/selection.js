@@ -0,0 +1,175 @@
+import { getTokenDataById, getTrendingTokens } from './market.js';
+import { listSignals } from './signals.js';
+import { getStore, withLock } from './store.js';
+import { log } from './log.js';
+
+/*
+ * Which token the scheduled post reads. Each run draws a pool (watchlist with WATCHLIST_WEIGHT, else trending),
+ * walks it in order and takes the first candidate that clears the blocklist, the per-token cooldown,
+ * the category filters and the liquidity / market-cap gates; if that pool runs dry the other one is tried.
+ * Every candidate's verdict is logged (console and the `selections` store key) so a pick can be explained.
+ */
+const LOG_KEY = 'selections';
+const MAX_LOG = 50;
+const POSTED_SOURCES = ['post', 'migration'];
+
+const list = (v) => String(v || '').split(',').map(s => s.trim()).filter(Boolean);
+const norm = (v) => String(v || '').replace(/^\$/, '').toLowerCase();
+
+export function selectionConfig(env = process.env) {
+  return {
+    watchlist: list(env.WATCHLIST),
+    blocklist: list(env.BLOCKLIST).map(norm),
+    categoryAllow: list(env.CATEGORY_ALLOW).map(norm),
+    categoryBlock: list(env.CATEGORY_BLOCK).map(norm),
+    watchlistWeight: Math.min(1, Math.max(0, Number(env.WATCHLIST_WEIGHT ?? 0.5))),
+    cooldownHours: Number(env.TOKEN_COOLDOWN_HOURS ?? 24),
+    minLiquidityUSD: Number(env.MIN_LIQUIDITY_USD ?? 50000),
+    minMarketCap: Number(env.MIN_MARKET_CAP ?? 1000000),
+    trendingPool: Number(env.TRENDING_POOL || 7),
+    maxLookups: Number(env.SELECTION_MAX_LOOKUPS || 6)
+  };
+}
+
+// Blocklist entries are CoinGecko ids, $SYMBOLs or contract addresses
+export function isBlocked(token, config = selectionConfig()) {
+  const keys = [token.id, token.symbol, token.contract?.address, String(token.id || '').split(':')[1]].filter(Boolean).map(norm);
+  return keys.some(k => config.blocklist.includes(k));
+}
+
+// Category names match case-insensitively on substrings ("meme" catches "Meme", "Solana Meme")
+const matches = (categories, patterns) => categories.some(c => patterns.some(p => norm(c).includes(p)));
+
+// tokenId -> ms of the last scheduled post; symbols are kept too for signals recorded without an id
+export function lastPostedMap(signals) {
+  const out = {};
+  for (const s of signals) {
+    if (!POSTED_SOURCES.includes(s.source) || !s.timestamp) continue;
+    const at = Date.parse(s.timestamp);
+    for (const key of [s.tokenId, s.token && `$${s.token}`].filter(Boolean).map(norm)) out[key] = Math.max(out[key] || 0, at);
+  }
+  return out;
+}
+
+const lastPostedAt = (posted, token) => Math.max(posted[norm(token.id)] || 0, (token.symbol && posted[norm(`$${token.symbol}`)]) || 0);
+
+// Checks that need no market data; returns the rejection reason or null
+export function precheck(candidate, config, posted, now = Date.now()) {
+  if (isBlocked(candidate, config)) return 'blocklisted';
+  const last = lastPostedAt(posted, candidate);
+  const hours = (now - last) / 36e5;
+  if (last && hours < config.cooldownHours) return `cooldown (posted ${hours.toFixed(1)}h ago, ${config.cooldownHours}h)`;
+  return null;
+}
+
+// Gates on getTokenDataById fields. Watchlist tokens skip CATEGORY_ALLOW and pass when a figure is unknown;
+// trending tokens have to prove their size.
+export function gate(tokenData, config, { source } = {}) {
+  if (!tokenData) return 'no market data';
+  if (isBlocked(tokenData, config)) return 'blocklisted';
+  const categories = tokenData.categories || [];
+  if (config.categoryBlock.length && matches(categories, config.categoryBlock)) return `blocked category (${categories.join(', ')})`;
+  if (source !== 'watchlist' && config.categoryAllow.length && !matches(categories, config.categoryAllow)) {
+    return categories.length ? `category not allowed (${categories.join(', ')})` : 'no categories to match CATEGORY_ALLOW';
+  }
+  // Native coins have no contract and so no pool to measure; only contract tokens need a liquidity figure
+  const strict = source !== 'watchlist';
+  const { liquidityUSD, marketCap } = tokenData;
+  if (liquidityUSD != null && liquidityUSD < config.minLiquidityUSD) return `liquidity $${Math.round(liquidityUSD)} < $${config.minLiquidityUSD}`;
+  if (liquidityUSD == null && strict && tokenData.contract && config.minLiquidityUSD > 0) return 'liquidity unknown';
+  if (marketCap != null && marketCap < config.minMarketCap) return `market cap $${Math.round(marketCap)} < $${config.minMarketCap}`;
+  if (marketCap == null && strict && config.minMarketCap > 0) return 'market cap unknown';
+  return null;
+}
+
+// Watchlist rotates least-recently-posted first (ties keep the configured order); trending keeps its rank
+export function rotateWatchlist(watchlist, posted) {
+  return watchlist
+    .map((id, i) => ({ id, symbol: null, i }))
+    .map(t => ({ ...t, last: lastPostedAt(posted, t) }))
+    .sort((a, b) => a.last - b.last || a.i - b.i)
+    .map(({ id, symbol }) => ({ id, symbol }));
+}
+
+export function poolOrder(config, random = Math.random) {
+  if (!config.watchlist.length) return ['trending'];
+  const first = random() < config.watchlistWeight ? 'watchlist' : 'trending';
+  return first === 'watchlist' ? ['watchlist', 'trending'] : ['trending', 'watchlist'];
+}
+
+/*
+ * -> { pick, tokenData, source, decisions, draw } or { pick: null, decisions } when nothing qualifies.
+ * log: false for previews so they don't fill the decision log.
+ */
+export async function selectToken({ config = selectionConfig(), now = Date.now(), random = Math.random, log: record = true } = {}) {
+  const draw = poolOrder(config, random);
+  const posted = lastPostedMap(await listSignals().catch(() => []));
+  const pools = {
+    watchlist: async () => rotateWatchlist(config.watchlist, posted),
+    trending: async () => getTrendingTokens(config.trendingPool)
+  };
+
+  const decisions = [];
+  const tried = new Set();
+  let lookups = 0;
+  let result = null;
+
+  for (const source of draw) {
+    for (const candidate of await pools[source]()) {
+      if (tried.has(norm(candidate.id))) continue;
+      tried.add(norm(candidate.id));
+      const decide = (reason, tokenData) => decisions.push({
+        id: candidate.id,
+        symbol: tokenData?.symbol || candidate.symbol,
+        source,
+        ok: !reason,
+        reason: reason || 'selected',
+        liquidityUSD: tokenData?.liquidityUSD ?? null,
+        marketCap: tokenData?.marketCap ?? null
+      });
+
+      const early = precheck(candidate, config, posted, now);
+      if (early) {
+        decide(early);
+        continue;
+      }
+      if (lookups >= config.maxLookups) {
+        decide('lookup budget spent');
+        continue;
+      }
+      lookups++;
+      const tokenData = await getTokenDataById(candidate.id);
+      // Watchlist entries only carry an id, so the cooldown is checked again against the real symbol
+      const late = gate(tokenData, config, { source }) || precheck({ ...candidate, symbol: tokenData.symbol }, config, posted, now);
+      decide(late, tokenData);
+      if (!late) {
+        result = { pick: { id: candidate.id, symbol: tokenData.symbol }, tokenData, source };
+        break;
+      }
+    }
+    if (result) break;
+  }
+
+  for (const d of decisions) log.info(d.ok ? 'token selected' : 'token skipped', d);
+  if (!result) log.warn('no eligible token', { tried: decisions.length, draw });
+
+  const entry = { time: new Date(now).toISOString(), draw, picked: result?.pick || null, decisions };
+  if (record) await logSelection(entry);
+  return { ...(result || { pick: null, tokenData: null, source: null }), draw, decisions };
+}
+
+async function logSelection(entry) {
+  try {
+    await withLock(LOG_KEY, async (store) => {
+      const entries = (await store.get(LOG_KEY)) || [];
+      entries.unshift(entry);
+      await store.set(LOG_KEY, entries.slice(0, MAX_LOG));
+    });
+  } catch (e) {
+    console.warn('selection log fail:', e.message);
+  }
+}
+
+export async function listSelections(limit = MAX_LOG) {
+  return ((await getStore().get(LOG_KEY)) || []).slice(0, limit);
+}
@@ -0,0 +1,214 @@
+import { createHash } from 'crypto';
+import { rngFromSeed } from './oracle-metrics.js';
+import { encodePng } from './png.js';
+
+// Procedural sigil from the poster inputs. Geometry is a list of primitives in a 0–1 square so the
+// SVG writer here and any raster renderer draw the same glyph.
+
+export const PALETTES = {
+  prophet: { bg: '#05010a', primary: '#ff77e9', secondary: '#b84dff', accent: '#00f0ff' },
+  trickster: { bg: '#050805', primary: '#9dff00', secondary: '#ff77e9', accent: '#ffe600' },
+  observer: { bg: '#01040a', primary: '#00f0ff', secondary: '#4d7cff', accent: '#e8f4ff' },
+  seer: { bg: '#04010a', primary: '#b84dff', secondary: '#00f0ff', accent: '#ff77e9' },
+  cultist: { bg: '#0a0102', primary: '#ff2e4d', secondary: '#ff9a00', accent: '#ffe0e6' },
+  guardian: { bg: '#000a08', primary: '#00ffb3', secondary: '#00f0ff', accent: '#fff4c2' },
+  shadow: { bg: '#000000', primary: '#6b5cff', secondary: '#2a2a55', accent: '#c9c2ff' },
+  echo: { bg: '#02060a', primary: '#7ad7ff', secondary: '#b84dff', accent: '#e8f4ff' }
+};
+
+const PHASES = ['New Moon', 'Waxing Crescent', 'First Quarter', 'Waxing Gibbous', 'Full Moon', 'Waning Gibbous', 'Last Quarter', 'Waning Crescent'];
+
+const QUOTE_BUCKETS = 256;
+
+const letters = (token) => String(token || '').replace(/[^a-zA-Z]/g, '').toUpperCase().slice(0, 12) || 'ALICE';
+
+/*
+ * The only inputs the glyph depends on, each from a small fixed set, so the public route can't be asked for
+ * unbounded variants: known archetype and moon phase, the sentiment's intensity, and the quote hashed to one
+ * of QUOTE_BUCKETS (q). Already-normalized inputs come back unchanged.
+ */
+export function sigilInputs({ token, archetype, sentiment, intensity, moon, quote, q } = {}) {
+  const mood = String(sentiment ?? intensity ?? '');
+  const bucket = quote
+    ? parseInt(createHash('sha256').update(String(quote)).digest('hex').slice(0, 8), 16) % QUOTE_BUCKETS
+    : /^\d+$/.test(String(q ?? '')) && +q < QUOTE_BUCKETS ? +q : null;
+  return {
+    token: letters(token),
+    archetype: Object.hasOwn(PALETTES, archetype || '') ? archetype : null,
+    intensity: /overload/i.test(mood) ? 'overload' : /charged/i.test(mood) ? 'charged' : null,
+    moon: PHASES.includes(moon) ? moon : null,
+    q: bucket
+  };
+}
+
+export function sigilSeed(inputs) {
+  const { token, archetype, intensity, moon, q } = sigilInputs(inputs);
+  return createHash('sha256').update([token, archetype, intensity, moon, q].join('|')).digest('hex');
+}
+
+// Symmetry comes from the symbol alone so a token keeps its shape across reads
+export function symmetryFor(token) {
+  const sum = [...letters(token)].reduce((s, c) => s + c.charCodeAt(0), 0);
+  return 3 + (sum % 6);
+}
+
+const polar = (r, a) => [0.5 + r * Math.cos(a), 0.5 + r * Math.sin(a)];
+
+export function sigilGeometry(raw) {
+  const inputs = sigilInputs(raw);
+  const seed = sigilSeed(inputs);
+  const rng = rngFromSeed(seed);
+  const palette = PALETTES[inputs.archetype] || PALETTES.seer;
+  const n = symmetryFor(inputs.token);
+  const intensity = { overload: 1, charged: 0.66 }[inputs.intensity] || 0.33;
+  const phaseIndex = Math.max(0, PHASES.indexOf(inputs.moon));
+  const rot = -Math.PI / 2;
+  const shapes = [];
+
+  // Resonance rings, denser and brighter with intensity
+  const rings = 3 + Math.round(intensity * 2 + rng() * 2);
+  for (let i = 0; i < rings; i++) {
+    const r = 0.16 + (0.28 * (i + 1)) / rings;
+    shapes.push({ type: 'circle', cx: 0.5, cy: 0.5, r, stroke: i % 2 ? palette.secondary : palette.primary, width: 0.002 + 0.004 * rng(), opacity: 0.35 + 0.5 * ((i + 1) / rings) });
+  }
+
+  // n-fold star and spokes
+  const outer = 0.3 + 0.08 * intensity;
+  const inner = outer * (0.35 + 0.25 * rng());
+  const star = [];
+  for (let i = 0; i < n * 2; i++) star.push(polar(i % 2 ? inner : outer, rot + (Math.PI * i) / n));
+  shapes.push({ type: 'polygon', points: star, stroke: palette.primary, width: 0.006, opacity: 0.95 });
+  for (let i = 0; i < n; i++) {
+    const a = rot + (2 * Math.PI * i) / n;
+    const [x1, y1] = polar(inner * 0.5, a);
+    const [x2, y2] = polar(0.44, a);
+    shapes.push({ type: 'line', x1, y1, x2, y2, stroke: palette.accent, width: 0.003, opacity: 0.7 });
+    shapes.push({ type: 'circle', cx: x2, cy: y2, r: 0.012 + 0.01 * rng(), stroke: palette.accent, width: 0.003, fill: palette.secondary, opacity: 0.9 });
+  }
+
+  // Letter-derived inner polygon: one vertex per letter, radius from its code
+  const word = letters(inputs.token).slice(0, 8);
+  const glyph = [...word].map((c, i) => polar(0.08 + ((c.charCodeAt(0) - 65) / 25) * 0.1, rot + (2 * Math.PI * i) / word.length));
+  if (glyph.length >= 3) shapes.push({ type: 'polygon', points: glyph, stroke: palette.secondary, width: 0.004, opacity: 0.9 });
+
+  // Watcher eye at the center
+  shapes.push({ type: 'circle', cx: 0.5, cy: 0.5, r: 0.06 + 0.02 * intensity, stroke: palette.primary, width: 0.006, fill: palette.bg, opacity: 1 });
+  shapes.push({ type: 'circle', cx: 0.5, cy: 0.5, r: 0.025, fill: palette.accent, opacity: 1 });
+
+  // Lunar phase marker above the glyph: a disc with a shadow offset by phase
+  const [mx, my] = [0.5, 0.07];
+  shapes.push({ type: 'circle', cx: mx, cy: my, r: 0.03, fill: palette.accent, opacity: 0.9 });
+  if (phaseIndex !== 4) {
+    const offset = ((phaseIndex < 4 ? phaseIndex : 8 - phaseIndex) / 4) * 0.06 * (phaseIndex < 4 ? 1 : -1);
+    shapes.push({ type: 'circle', cx: mx - offset, cy: my, r: 0.03, fill: palette.bg, opacity: 1 });
+  }
+
+  return { seed, palette, symmetry: n, shapes };
+}
+
+export function sigilSvg(inputs, size = 1024) {
+  const { palette, shapes } = sigilGeometry(inputs);
+  const s = (v) => String(Math.round(v * size * 10) / 10);
+  const paint = (p) => `stroke="${p.stroke || 'none'}" stroke-width="${p.width ? s(p.width) : 0}" fill="${p.fill || 'none'}" opacity="${p.opacity ?? 1}"`;
+  const body = shapes.map(p => {
+    if (p.type === 'circle') return `<circle cx="${s(p.cx)}" cy="${s(p.cy)}" r="${s(p.r)}" ${paint(p)}/>`;
+    if (p.type === 'line') return `<line x1="${s(p.x1)}" y1="${s(p.y1)}" x2="${s(p.x2)}" y2="${s(p.y2)}" ${paint(p)}/>`;
+    return `<polygon points="${p.points.map(([x, y]) => `${s(x)},${s(y)}`).join(' ')}" ${paint(p)}/>`;
+  }).join('');
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}"><rect width="100%" height="100%" fill="${palette.bg}"/>${body}</svg>`;
+}
+
+const rgb = (c) => [1, 3, 5].map(i => parseInt(c.slice(i, i + 2), 16));
+const clamp01 = (v) => v < 0 ? 0 : v > 1 ? 1 : v;
+
+function segmentDistance(px, py, x1, y1, x2, y2) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const t = clamp01(((px - x1) * dx + (py - y1) * dy) / (dx * dx + dy * dy || 1));
+  return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+}
+
+function insidePolygon(x, y, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// Distance from a pixel to the shape's outline, and whether it's inside (for fills); all in pixels
+function probe(p, x, y, size) {
+  if (p.type === 'circle') {
+    const d = Math.hypot(x - p.cx * size, y - p.cy * size);
+    return { edge: Math.abs(d - p.r * size), inside: p.r * size - d };
+  }
+  if (p.type === 'line') return { edge: segmentDistance(x, y, p.x1 * size, p.y1 * size, p.x2 * size, p.y2 * size), inside: -1 };
+  let edge = Infinity;
+  const pts = p.points.map(([px, py]) => [px * size, py * size]);
+  for (let i = 0; i < pts.length; i++) {
+    const [x1, y1] = pts[i];
+    const [x2, y2] = pts[(i + 1) % pts.length];
+    edge = Math.min(edge, segmentDistance(x, y, x1, y1, x2, y2));
+  }
+  return { edge, inside: p.fill && insidePolygon(x, y, pts) ? edge : -edge };
+}
+
+function bounds(p, size, pad) {
+  const xs = p.type === 'circle' ? [p.cx - p.r, p.cx + p.r] : p.type === 'line' ? [p.x1, p.x2] : p.points.map(q => q[0]);
+  const ys = p.type === 'circle' ? [p.cy - p.r, p.cy + p.r] : p.type === 'line' ? [p.y1, p.y2] : p.points.map(q => q[1]);
+  const lo = (v) => Math.max(0, Math.floor(Math.min(...v) * size - pad));
+  const hi = (v) => Math.min(size - 1, Math.ceil(Math.max(...v) * size + pad));
+  return [lo(xs), hi(xs), lo(ys), hi(ys)];
+}
+
+// Anti-aliased raster of sigilGeometry with a soft glow under every stroke -> PNG buffer
+export function sigilPng(inputs, size = 512) {
+  const { palette, shapes } = sigilGeometry(inputs);
+  const px = new Float32Array(size * size * 3);
+  const bg = rgb(palette.bg);
+  for (let i = 0; i < size * size; i++) px.set(bg, i * 3);
+
+  const paint = (i, color, a) => {
+    if (a <= 0) return;
+    for (let k = 0; k < 3; k++) px[i * 3 + k] += (color[k] - px[i * 3 + k]) * a;
+  };
+
+  for (const p of shapes) {
+    const opacity = p.opacity ?? 1;
+    const stroke = p.stroke && rgb(p.stroke);
+    const fill = p.fill && rgb(p.fill);
+    const half = Math.max(0.5, ((p.width || 0) * size) / 2);
+    const glow = half * 6;
+    const [x0, x1, y0, y1] = bounds(p, size, glow + 1);
+
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const { edge, inside } = probe(p, x + 0.5, y + 0.5, size);
+        const i = y * size + x;
+        if (fill) paint(i, fill, clamp01(inside + 0.5) * opacity);
+        if (stroke) {
+          if (edge < glow) paint(i, stroke, (1 - edge / glow) ** 2 * 0.22 * opacity);
+          paint(i, stroke, clamp01(half - edge + 0.5) * opacity);
+        }
+      }
+    }
+  }
+
+  const rgba = Buffer.alloc(size * size * 4);
+  for (let i = 0; i < size * size; i++) {
+    rgba[i * 4] = px[i * 3];
+    rgba[i * 4 + 1] = px[i * 3 + 1];
+    rgba[i * 4 + 2] = px[i * 3 + 2];
+    rgba[i * 4 + 3] = 255;
+  }
+  return encodePng(size, size, rgba);
+}
+
+// Stable URL for the PNG route; the query carries the normalized inputs the glyph is derived from
+export function sigilPath(data = {}) {
+  const { token, ...rest } = sigilInputs(data);
+  const qs = new URLSearchParams(Object.entries(rest).filter(([, v]) => v != null)).toString();
+  return `/api/sigil/${encodeURIComponent(token)}.png${qs ? `?${qs}` : ''}`;
+}
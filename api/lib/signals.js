@@ -0,0 +1,113 @@
+import { randomUUID } from 'crypto';
+import { getStore, withLock } from './store.js';
+
+const KEY = 'signals';
+const MAX_SIGNALS = 1000;
+const RECENT_MS = 24 * 60 * 60 * 1000;
+
+export async function listSignals({ limit, archetype, token, source } = {}) {
+  let signals = (await getStore().get(KEY)) || [];
+  if (archetype) signals = signals.filter(s => s.archetype === archetype);
+  if (token) signals = signals.filter(s => s.token === token.toUpperCase());
+  if (source) signals = signals.filter(s => s.source === source);
+  return limit ? signals.slice(0, limit) : signals;
+}
+
+// Newest first, capped so a single KV value stays small
+export async function recordSignal(signal) {
+  const entry = {
+    id: signal.tweetId || randomUUID(),
+    timestamp: new Date().toISOString(),
+    ...signal
+  };
+  await withLock(KEY, async (store) => {
+    const signals = (await store.get(KEY)) || [];
+    signals.unshift(entry);
+    await store.set(KEY, signals.slice(0, MAX_SIGNALS));
+  });
+  return entry;
+}
+
+// Merge by id (non-null incoming fields win); keeps the ledger sorted newest first
+export async function upsertSignals(entries) {
+  return withLock(KEY, async (store) => {
+    const byId = new Map(((await store.get(KEY)) || []).map(s => [s.id, s]));
+    let added = 0;
+    for (const e of entries) {
+      const prev = byId.get(e.id);
+      if (!prev) added++;
+      const next = { ...prev };
+      for (const [k, v] of Object.entries(e)) if (v != null || !(k in next)) next[k] = v;
+      byId.set(e.id, next);
+    }
+    const merged = [...byId.values()]
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, MAX_SIGNALS);
+    await store.set(KEY, merged);
+    return { added, updated: entries.length - added };
+  });
+}
+
+export function countArchetypes(signals) {
+  const counts = {};
+  for (const s of signals) {
+    if (!s.archetype) continue;
+    counts[s.archetype] = (counts[s.archetype] || 0) + 1;
+  }
+  return counts;
+}
+
+export function toPercentages(counts) {
+  const total = Object.values(counts).reduce((a, b) => a + b, 0);
+  const out = {};
+  for (const [k, v] of Object.entries(counts)) out[k] = total ? +((v / total) * 100).toFixed(1) : 0;
+  return out;
+}
+
+export function summarizeMirror(signals) {
+  const distribution = countArchetypes(signals);
+  return { distribution, percentages: toPercentages(distribution), total: signals.length };
+}
+
+export function summarizePulse(signals, now = Date.now()) {
+  const recent = signals.filter(s => now - new Date(s.timestamp).getTime() < RECENT_MS);
+  return {
+    active: countArchetypes(recent),
+    total: countArchetypes(signals),
+    recentSignals: recent.length,
+    totalSignals: signals.length,
+    lastSignal: signals[0]?.timestamp || null
+  };
+}
+
+export function signalFrom({ source, tweetId, tweetIds, tokenData, pick, archetype, lunar, snapshot, metrics, persona, insight, sigil, channels, content, inReplyTo }) {
+  return {
+    source,
+    tweetId: tweetId || null,
+    tweetIds: tweetIds || (tweetId ? [tweetId] : []),
+    inReplyTo: inReplyTo || null,
+    tokenId: tokenData?.id || pick?.id || null,
+    token: tokenData?.symbol || pick?.symbol || null,
+    name: tokenData?.name || null,
+    archetype,
+    rsi: tokenData?.rsi ?? null,
+    price: tokenData?.price ?? null,
+    volume: tokenData?.volumeUSD ?? null,
+    marketCap: tokenData?.marketCap ?? null,
+    change24h: tokenData?.change24h ?? null,
+    lunar: lunar ? { phase: lunar.phase, tier: lunar.pattern?.tier, illumination: lunar.illumination } : null,
+    levels: snapshot?.levels ? {
+      timeframe: snapshot.timeframe,
+      method: snapshot.levels.method,
+      threshold: snapshot.levels.threshold,
+      echoRim: snapshot.levels.echoRim,
+      invalidation: snapshot.levels.invalidation
+    } : null,
+    oracle: metrics ? { seed: metrics.seed, inputs: metrics.inputs, deltaKey: metrics.deltaKey, phaseDrift: metrics.phaseDrift, omega: metrics.omega, delta: metrics.delta } : null,
+    persona: persona ? { name: persona.name, version: persona.version } : null,
+    insight: insight ? { source: insight.source, provider: insight.provider, attempts: insight.attempts } : null,
+    sigil: sigil || null,
+    channels: channels || null,
+    content
+  };
+}
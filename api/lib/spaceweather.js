@@ -0,0 +1,163 @@
+import { cached } from './cache.js';
+import { fetchJson } from './http.js';
+import { getStore } from './store.js';
+
+const SWPC = 'https://services.swpc.noaa.gov';
+const HISTORY_DAYS = 30;
+const HISTORY_STEP_MS = 55 * 60 * 1000;
+const LAST_KEY = 'spaceweather:last';
+const HISTORY_KEY = 'spaceweather:history';
+
+export function getKpState(index) {
+  if (index < 2) return "⚪ Quiet";
+  if (index < 4) return "🟡 Unsettled";
+  if (index < 6) return "🟠 Active";
+  return "🔴 Storm Watch";
+}
+
+// GOES 0.1–0.8 nm flux (W/m²) -> flare class, e.g. 3.2e-5 -> "M3.2"
+export function flareClass(flux) {
+  if (!(flux > 0)) return null;
+  const bands = [['X', 1e-4], ['M', 1e-5], ['C', 1e-6], ['B', 1e-7], ['A', 1e-8]];
+  const [letter, base] = bands.find(([, b]) => flux >= b) || bands[bands.length - 1];
+  return `${letter}${(flux / base).toFixed(1)}`;
+}
+
+// SWPC "products" endpoints are a header row followed by value rows
+const rowsOf = (table) => {
+  if (!Array.isArray(table) || !Array.isArray(table[0])) return table || [];
+  const [head, ...rows] = table;
+  return rows.map(r => Object.fromEntries(head.map((h, i) => [h, r[i]])));
+};
+const lastWhere = (rows, fn) => { for (let i = rows.length - 1; i >= 0; i--) if (fn(rows[i])) return rows[i]; return null; };
+const num = (v) => { const n = parseFloat(v); return isFinite(n) ? n : null; };
+const time = (t) => new Date(/Z|[+-]\d\d:?\d\d$/.test(t) ? t : `${String(t).replace(' ', 'T')}Z`);
+
+export const SOURCES = {
+  kpRealtime: {
+    url: `${SWPC}/json/planetary_k_index_1m.json`, ttl: 60000,
+    parse: (rows) => {
+      const row = rows[rows.length - 1];
+      const v = num(row.kp_index ?? row.estimated_kp);
+      return { index: +v.toFixed(2), state: getKpState(v), time: time(row.time_tag) };
+    }
+  },
+  kpAveraged: {
+    url: `${SWPC}/products/noaa-planetary-k-index.json`, ttl: 10 * 60000,
+    parse: (table) => {
+      const row = lastWhere(rowsOf(table), r => num(r.Kp ?? r.kp) != null);
+      return { index: +num(row.Kp ?? row.kp).toFixed(2), time: time(row.time_tag) };
+    }
+  },
+  solarWind: {
+    url: `${SWPC}/products/solar-wind/plasma-1-day.json`, ttl: 5 * 60000,
+    parse: (table) => {
+      const row = lastWhere(rowsOf(table), r => num(r.speed) != null);
+      return { speed: num(row.speed), density: num(row.density), temperature: num(row.temperature), time: time(row.time_tag) };
+    }
+  },
+  magnetic: {
+    url: `${SWPC}/products/solar-wind/mag-1-day.json`, ttl: 5 * 60000,
+    parse: (table) => {
+      const row = lastWhere(rowsOf(table), r => num(r.bz_gsm) != null);
+      return { bz: num(row.bz_gsm), bt: num(row.bt), time: time(row.time_tag) };
+    }
+  },
+  xray: {
+    url: `${SWPC}/json/goes/primary/xrays-6-hour.json`, ttl: 5 * 60000,
+    parse: (rows) => {
+      const long = rows.filter(r => r.energy === '0.1-0.8nm' && num(r.flux) != null);
+      const row = long[long.length - 1];
+      const peak = long.reduce((m, r) => Math.max(m, r.flux), 0);
+      return { flux: row.flux, class: flareClass(row.flux), peak6h: flareClass(peak), time: time(row.time_tag) };
+    }
+  },
+  forecast: {
+    url: `${SWPC}/products/noaa-planetary-k-index-forecast.json`, ttl: 30 * 60000,
+    parse: (table) => rowsOf(table)
+      .filter(r => r.observed === 'predicted')
+      .map(r => ({ time: time(r.time_tag), kp: num(r.kp), scale: r.noaa_scale || null }))
+  },
+  scales: {
+    url: `${SWPC}/products/noaa-scales.json`, ttl: 30 * 60000,
+    parse: (j) => {
+      const pick = (d) => d && {
+        G: +d.G?.Scale || 0, S: +d.S?.Scale || 0, R: +d.R?.Scale || 0,
+        date: d.DateStamp
+      };
+      return { current: pick(j['0']), forecast: ['1', '2', '3'].map(k => pick(j[k])).filter(Boolean) };
+    }
+  }
+};
+
+// Each feed is fetched, cached and failed independently; a failure serves the last known value
+async function readSource(name, lastKnown) {
+  const { url, ttl, parse } = SOURCES[name];
+  try {
+    const value = await cached(`swpc:${name}`, ttl, async () => parse(await fetchJson(url, { retries: 1 })));
+    return { value, status: { ok: true, stale: false, at: new Date().toISOString() } };
+  } catch (e) {
+    console.warn(`${name} fail:`, e.message);
+    const prev = lastKnown[name];
+    return { value: prev?.value ?? null, status: { ok: false, stale: !!prev, at: prev?.at || null, error: e.message } };
+  }
+}
+
+export async function getSpaceWeather() {
+  const store = getStore();
+  const lastKnown = (await store.get(LAST_KEY).catch(() => null)) || {};
+  const names = Object.keys(SOURCES);
+  const results = await Promise.all(names.map(n => readSource(n, lastKnown)));
+
+  const out = { sources: {} };
+  const nextKnown = { ...lastKnown };
+  let changed = false;
+  names.forEach((n, i) => {
+    out[n] = results[i].value;
+    out.sources[n] = results[i].status;
+    // Feeds are cached for minutes, so most reads change nothing and skip the write
+    if (results[i].status.ok && JSON.stringify(results[i].value) !== JSON.stringify(lastKnown[n]?.value)) {
+      nextKnown[n] = { value: results[i].value, at: results[i].status.at };
+      changed = true;
+    }
+  });
+
+  if (changed) await store.set(LAST_KEY, nextKnown).catch(e => console.warn('spaceweather save fail:', e.message));
+  return out;
+}
+
+// History is written by the hourly outcomes cron, never by page views or stream polls
+export async function recordSpaceWeatherHistory() {
+  await appendHistory(await getSpaceWeather());
+}
+
+export async function getRealtimeKp() {
+  const { value } = await readSource('kpRealtime', {});
+  return value;
+}
+
+async function appendHistory(sw) {
+  const store = getStore();
+  const history = (await store.get(HISTORY_KEY)) || [];
+  const now = Date.now();
+  const lastT = history.length ? new Date(history[history.length - 1].t).getTime() : 0;
+  if (now - lastT < HISTORY_STEP_MS) return;
+
+  const point = {
+    kp: sw.kpRealtime?.index ?? null,
+    windSpeed: sw.solarWind?.speed ?? null,
+    bz: sw.magnetic?.bz ?? null,
+    xrayFlux: sw.xray?.flux ?? null,
+    g: sw.scales?.current?.G ?? null
+  };
+  if (Object.values(point).every(v => v == null)) return;
+
+  history.push({ t: new Date(now).toISOString(), ...point });
+  const cutoff = now - HISTORY_DAYS * 86400000;
+  await store.set(HISTORY_KEY, history.filter(h => new Date(h.t).getTime() >= cutoff));
+}
+
+export async function getSpaceWeatherHistory(days = HISTORY_DAYS) {
+  const cutoff = Date.now() - Math.min(days, HISTORY_DAYS) * 86400000;
+  return ((await getStore().get(HISTORY_KEY)) || []).filter(h => new Date(h.t).getTime() >= cutoff);
+}
@@ -0,0 +1,117 @@
+import fs from 'fs/promises';
+import path from 'path';
+import fetch from 'node-fetch';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+// Local dev: one JSON file per key under STORE_DIR (defaults to ./data, /tmp on Vercel)
+export function fileStore(dir) {
+  const fileFor = (key) => path.join(dir, `${key.replace(/[^a-zA-Z0-9_.-]/g, '_')}.json`);
+
+  return {
+    kind: 'file',
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+      } catch (e) {
+        if (e.code !== 'ENOENT') console.warn(`store read fail (${key}):`, e.message);
+        return null;
+      }
+    },
+    async set(key, value) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = fileFor(key);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(value, null, 2));
+      await fs.rename(tmp, file);
+    },
+    async del(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+    // Exclusive create; an expired holder is cleared and the create retried once
+    async setnx(key, value, ttlMs) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = fileFor(key);
+      for (let i = 0; i < 2; i++) {
+        try {
+          await fs.writeFile(file, JSON.stringify({ value, expires: Date.now() + ttlMs }), { flag: 'wx' });
+          return true;
+        } catch (e) {
+          if (e.code !== 'EEXIST') throw e;
+          const held = await this.get(key);
+          if (held && held.expires > Date.now()) return false;
+          await fs.rm(file, { force: true });
+        }
+      }
+      return false;
+    }
+  };
+}
+
+// Production: Upstash / Vercel KV REST API, values stored as JSON strings
+export function kvStore({ url, token, prefix = 'alice:' }) {
+  const command = async (...args) => {
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args)
+    });
+    const j = await r.json();
+    if (!r.ok || j.error) throw new Error(j.error || `KV ${r.status}`);
+    return j.result;
+  };
+
+  return {
+    kind: 'kv',
+    async get(key) {
+      const raw = await command('GET', prefix + key);
+      return raw == null ? null : JSON.parse(raw);
+    },
+    async set(key, value) {
+      await command('SET', prefix + key, JSON.stringify(value));
+    },
+    async del(key) {
+      await command('DEL', prefix + key);
+    },
+    async setnx(key, value, ttlMs) {
+      return (await command('SET', prefix + key, JSON.stringify(value), 'NX', 'PX', ttlMs)) === 'OK';
+    }
+  };
+}
+
+let store = null;
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/*
+ * Serializes a read-modify-write of one key across instances (the ledgers are single JSON arrays): holds
+ * `lock:<key>` while fn runs, polling for it up to waitMs. ttlMs frees the lock if the holder dies mid-write.
+ */
+export async function withLock(key, fn, { ttlMs = 10000, waitMs = 5000 } = {}) {
+  const s = getStore();
+  const lock = `lock:${key}`;
+  const deadline = Date.now() + waitMs;
+  while (!await s.setnx(lock, { at: new Date().toISOString() }, ttlMs)) {
+    if (Date.now() > deadline) throw new Error(`store lock busy (${key})`);
+    await sleep(25 + Math.random() * 50);
+  }
+  try {
+    return await fn(s);
+  } finally {
+    await s.del(lock).catch(e => console.warn(`lock release fail (${key}):`, e.message));
+  }
+}
+
+export function getStore() {
+  if (store) return store;
+
+  const url = process.env.KV_REST_API_URL;
+  const token = process.env.KV_REST_API_TOKEN;
+  if (process.env.STORE !== 'file' && url && token) {
+    store = kvStore({ url, token });
+  } else {
+    const dir = process.env.STORE_DIR || (process.env.VERCEL ? '/tmp/alice' : path.join(ROOT, 'data'));
+    store = fileStore(dir);
+  }
+  return store;
+}
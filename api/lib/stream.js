@@ -0,0 +1,170 @@
+import { getStore } from './store.js';
+
+/*
+ * Server-sent events for the pages: one shared poller per instance feeds every open stream.
+ *   lunar, kp, archetype.shift                — state changes seen by the poller (kept in memory only)
+ *   signal.posted, reply.sent, weather.posted — published by the crons and appended to the store,
+ *                                               so streams held by other instances pick them up on the next tick
+ * Event ids are millisecond timestamps (bumped to stay unique) so Last-Event-ID works across instances.
+ */
+export const EVENT_TYPES = ['lunar', 'kp', 'signal.posted', 'reply.sent', 'weather.posted', 'archetype.shift'];
+
+const KEY = 'events';
+const MAX_EVENTS = 200;
+const POLL_MS = Number(process.env.STREAM_POLL_MS || 60 * 1000);
+const HEARTBEAT_MS = 25 * 1000;
+// Serverless functions get cut off; end the response first and let EventSource reconnect with Last-Event-ID
+const MAX_CONNECTION_MS = Number(process.env.STREAM_MAX_MS || (process.env.VERCEL ? 25 * 1000 : 0));
+
+const clients = new Set();
+const buffer = [];
+const latest = {};
+const seen = {};
+let sources = {};
+let lastId = 0;
+let timer = null;
+
+const nextId = () => (lastId = Math.max(lastId + 1, Date.now()));
+
+function frame({ id, type, data }) {
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function send(client, event) {
+  if (client.types && !client.types.has(event.type)) return;
+  client.res.write(frame(event));
+}
+
+function remember(event) {
+  if (buffer.some(e => e.id === event.id && e.type === event.type)) return false;
+  buffer.push(event);
+  buffer.sort((a, b) => a.id - b.id);
+  if (buffer.length > MAX_EVENTS) buffer.shift();
+  lastId = Math.max(lastId, event.id);
+  return true;
+}
+
+function broadcast(event) {
+  for (const client of clients) send(client, event);
+}
+
+// sources: { lunar: { load, key }, kp: { load, key }, mirror: { load } }; key() reduces a reading to what counts as a change
+export function configureStream(next) {
+  sources = next;
+}
+
+export async function publish(type, data, { persist = true } = {}) {
+  const event = { id: nextId(), type, data, time: new Date().toISOString() };
+  remember(event);
+  broadcast(event);
+  if (persist) {
+    try {
+      const store = getStore();
+      const stored = (await store.get(KEY)) || [];
+      stored.push(event);
+      await store.set(KEY, stored.slice(-MAX_EVENTS));
+    } catch (e) {
+      console.warn('event persist fail:', e.message);
+    }
+  }
+  return event;
+}
+
+async function load(name) {
+  try {
+    return await sources[name]?.load();
+  } catch (e) {
+    console.warn(`stream ${name} fail:`, e.message);
+    return null;
+  }
+}
+
+async function pollState(type) {
+  const value = await load(type);
+  if (value == null) return;
+  const key = sources[type].key ? sources[type].key(value) : JSON.stringify(value);
+  if (key === seen[type]) return;
+  seen[type] = key;
+  latest[type] = await publish(type, value, { persist: false });
+}
+
+async function pollMirror() {
+  const mirror = await load('mirror');
+  if (!mirror?.distribution) return;
+  const [dominant] = Object.entries(mirror.distribution).sort((a, b) => b[1] - a[1])[0] || [];
+  if (!dominant) return;
+  if (seen.dominant && seen.dominant !== dominant) {
+    await publish('archetype.shift', { from: seen.dominant, to: dominant, ...mirror }, { persist: false });
+  }
+  seen.dominant = dominant;
+}
+
+async function pollStored() {
+  let stored;
+  try {
+    stored = (await getStore().get(KEY)) || [];
+  } catch (e) {
+    return console.warn('stream events fail:', e.message);
+  }
+  // First load on this instance only fills the buffer, then catches up streams that resumed before it
+  if (seen.stored === undefined) {
+    stored.forEach(remember);
+    for (const client of clients) {
+      if (client.since) stored.filter(e => e.id > client.since).forEach(e => send(client, e));
+    }
+  } else {
+    for (const event of stored) {
+      if (event.id > seen.stored && remember(event)) broadcast(event);
+    }
+  }
+  seen.stored = Math.max(seen.stored || 0, ...stored.map(e => e.id));
+}
+
+async function tick() {
+  await Promise.all([pollState('lunar'), pollState('kp'), pollMirror(), pollStored()]);
+}
+
+function startPoller() {
+  if (timer) return;
+  timer = setInterval(() => tick().catch(e => console.warn('stream tick fail:', e.message)), POLL_MS);
+  tick().catch(e => console.warn('stream tick fail:', e.message));
+}
+
+function stopPoller() {
+  if (clients.size || !timer) return;
+  clearInterval(timer);
+  timer = null;
+}
+
+export function streamHandler(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  const wanted = String(req.query.types || '').split(',').filter(t => EVENT_TYPES.includes(t));
+
+  // Resume from Last-Event-ID (the header EventSource sends on reconnect, or ?lastEventId= after a hard reconnect)
+  const since = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10);
+  const client = { res, types: wanted.length ? new Set(wanted) : null, since: since || null };
+  const replay = since ? buffer.filter(e => e.id > since) : [];
+  for (const type of Object.keys(latest)) {
+    if (!replay.some(e => e.type === type)) send(client, latest[type]);
+  }
+  replay.forEach(e => send(client, e));
+
+  clients.add(client);
+  startPoller();
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  const cutoff = MAX_CONNECTION_MS ? setTimeout(() => res.end(), MAX_CONNECTION_MS) : null;
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(cutoff);
+    clients.delete(client);
+    stopPoller();
+  });
+}
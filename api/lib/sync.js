@@ -0,0 +1,62 @@
+const SUFFIX = { K: 1e3, M: 1e6, B: 1e9 };
+
+function parseAmount(raw) {
+  if (!raw) return null;
+  const m = raw.replace(/[$,]/g, '').match(/(-?\d+(?:\.\d+)?)\s*([KMB])?/i);
+  if (!m) return null;
+  return parseFloat(m[1]) * (SUFFIX[(m[2] || '').toUpperCase()] || 1);
+}
+
+const finite = (v) => isFinite(v) ? v : null;
+
+const line = (text, label) => text.match(new RegExp(`${label}:\\s*([^\\n•]+)`, 'i'))?.[1]?.trim();
+
+// Reverse of the ACTIVE READ tweet template (tweet.js assembleTweet); tolerates the 279-char cut
+export function parseOracleTweet(text = '') {
+  const header = text.match(/◇\s*(.+?)\s*\/\/\s*\$?([A-Z0-9]+)\s*—\s*ACTIVE READ/i);
+  const short = text.match(/\$?([A-Z0-9]{2,12})\s*•\s*RSI\s*(\d+)/);
+  if (!header && !short) return null;
+
+  const cycleIndex = parseFloat(line(text, 'Cycle Index'));
+  let rsi = parseInt(text.match(/RSI\s*(\d+(?:\.\d+)?)/)?.[1], 10);
+  if (isNaN(rsi) && !isNaN(cycleIndex)) rsi = Math.round(cycleIndex / 1.618 * 100);
+
+  const alignment = text.match(/Alignment String:\s*\n?\s*(\S+-\d+Ω[^\n]*)/)?.[1]?.trim() || null;
+  const quote = text.match(/"([^"]+)"/)?.[1] || null;
+
+  return {
+    name: header ? header[1].trim() : null,
+    token: (header ? header[2] : short[1]).toUpperCase(),
+    price: parseAmount(line(text, 'Price')),
+    change24h: finite(parseFloat(line(text, '24h Change'))),
+    volume: parseAmount(line(text, '24h Volume') || text.match(/Vol\s+([\d.,]+[KMB]?)/)?.[1]),
+    marketCap: parseAmount(line(text, 'Market Cap')),
+    rsi: isNaN(rsi) ? null : rsi,
+    alignment,
+    quote
+  };
+}
+
+// Pages newest-first through the account's own posts; stops at sinceId or maxTweets.
+// source is 'reply' only for replies to someone else: a reply to our own tweet is a thread continuation
+export async function fetchOwnTimeline(rw, { sinceId, maxTweets = 500 } = {}) {
+  const me = await rw.v2.me();
+  const params = {
+    max_results: 100,
+    exclude: ['retweets'],
+    'tweet.fields': ['created_at', 'attachments', 'in_reply_to_user_id'],
+    expansions: ['attachments.media_keys'],
+    'media.fields': ['url', 'preview_image_url', 'type']
+  };
+  if (sinceId) params.since_id = sinceId;
+
+  const timeline = await rw.v2.userTimeline(me.data.id, params);
+  const out = [];
+  for await (const t of timeline) {
+    const media = timeline.includes.medias(t)[0];
+    const source = t.in_reply_to_user_id && t.in_reply_to_user_id !== me.data.id ? 'reply' : 'post';
+    out.push({ ...t, source, mediaUrl: media?.url || media?.preview_image_url || null });
+    if (out.length >= maxTweets) break;
+  }
+  return out;
+}
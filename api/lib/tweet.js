@@ -0,0 +1,134 @@
+import { formatNumber, formatPercent, formatPrice } from './format.js';
+import { computeLevels } from './indicators.js';
+import { computeOracleMetrics } from './oracle-metrics.js';
+import { getLunarMessage, quoteFromArchetype } from './oracle.js';
+import { getPersona, render } from './persona.js';
+
+// Read assembly without the I/O: template variables, the template fallback and the final tweet text
+
+export function buildPosterPrompt({ token, archetype, sentiment, moon, quote }, persona = getPersona()) {
+  const clean = (token || '').replace(/[^a-zA-Z]/g, '').toUpperCase();
+  return render(persona.prompts.poster, { token: clean, archetype, sentiment, moon, quote }).trim();
+}
+
+export function describeIndicators(ind) {
+  if (!ind) return '';
+  const parts = [];
+  if (ind.macd) parts.push(`MACD hist ${ind.macd.histogram > 0 ? '+' : ''}${ind.macd.histogram}`);
+  if (ind.bollinger) parts.push(`BB %B ${ind.bollinger.percentB}`);
+  if (ind.ema?.cross?.['50/200']) parts.push(`EMA50/200 ${ind.ema.cross['50/200'].state}`);
+  if (ind.stochRsi) parts.push(`StochRSI ${ind.stochRsi.k}`);
+  return parts.length ? `\nIndicators: ${parts.join(', ')}` : '';
+}
+
+/*
+ * vars feed the persona's insight prompt and templates; facts are the numbers the model's answer is checked against.
+ * Without a snapshot the levels and metrics fall back to price-only versions.
+ */
+export function readVars(lunar, tokenData, archetype, { snapshot = null, metrics = null, persona = getPersona() } = {}) {
+  const { 
+    symbol = 'XXX', 
+    rsi = 50, 
+    volumeUSD = 0, 
+    price = 0,
+    marketCap = 0,
+    fdv = 0,
+    circulatingSupply = 0,
+    totalSupply = 0,
+    holders = 0,
+    change24h = 0,
+    name = 'Unknown Token'
+  } = tokenData || {};
+  
+  const moon = lunar?.phase || "Unknown";
+  const tier = lunar?.pattern?.tier || "Veil";
+
+  // Calculate derived metrics
+  const volMcapRatio = marketCap > 0 ? ((volumeUSD / marketCap) * 100).toFixed(1) : '0.0';
+  const cycleIndex = (rsi / 100 * 1.618).toFixed(2);
+  const levels = snapshot?.levels || computeLevels(price, [], null);
+  const threshold = formatPrice(levels.threshold);
+  const echoRim = formatPrice(levels.echoRim);
+  const invalidation = formatPrice(levels.invalidation);
+  const { deltaKey, phaseDrift, omega, delta } = metrics || computeOracleMetrics({
+    symbol, change24h, volumeChange: snapshot?.indicators?.volumeChange, angle: lunar?.angle
+  });
+  
+  // Generate alignment string
+  const thNum = threshold.replace('.', '');
+  const echoNum = echoRim.replace('.', '');
+  const alignmentString = `${symbol}-${omega}Ω / Δ${delta} : TH${thNum} < ECHO > ${echoNum}`;
+
+  const vars = {
+    NAME: name.toUpperCase(), name, symbol, rsi, moon, tier, archetype,
+    lunarMessage: getLunarMessage(moon, persona.lunar),
+    price: formatPrice(price), change24h: formatPercent(change24h), absChange24h: Math.abs(change24h).toFixed(0),
+    volume: formatNumber(volumeUSD), marketCap: formatNumber(marketCap), fdv: formatNumber(fdv),
+    circulatingSupply: formatNumber(circulatingSupply), volMcapRatio,
+    holdersK: formatNumber(holders / 1000), totalSupplyM: formatNumber(totalSupply / 1000000),
+    cycleIndex, threshold, echoRim, invalidation, retrace: (price * 0.9).toFixed(0),
+    deltaKey, phaseDrift, alignmentString,
+    indicators: describeIndicators(snapshot?.indicators)
+  };
+
+  const sig = (v) => Number(Number(v || 0).toPrecision(6));
+  const facts = {
+    price: sig(price), change24h: Number(Number(change24h || 0).toFixed(2)), rsi, volume: volumeUSD, marketCap,
+    threshold: sig(levels.threshold), echoRim: sig(levels.echoRim), invalidation: sig(levels.invalidation)
+  };
+  return { vars, facts };
+}
+
+// The persona's template read: used when the model's answers fail validation, and as the stub's answer
+export function fallbackInsight(vars, persona = getPersona(), quote = null) {
+  return {
+    quote: render(persona.templates.fallbackQuote, { ...vars, archetypeQuote: quote || quoteFromArchetype(vars.archetype) }),
+    analysis: render(persona.templates.fallbackPulse, vars)
+  };
+}
+
+// Persona tweet template; the default keeps the ACTIVE READ layout that sync.js parses
+export function assembleTweet(vars, insight, persona = getPersona()) {
+  return render(persona.templates.tweet, { ...vars, quote: `"${insight.quote}"`, pulse: insight.analysis });
+}
+
+// Market weather (weather.js summarizeWeather) -> vars for the persona's weather template and poster prompt
+export function weatherVars(summary) {
+  const { condition, archetypes, rsi, breadth, rotation, sky } = summary;
+  const signed = (v, unit = '') => v == null ? '--' : `${v > 0 ? '+' : ''}${v}${unit}`;
+  return {
+    glyph: condition.glyph,
+    condition: condition.label,
+    CONDITION: condition.label.toUpperCase(),
+    signal: condition.signal,
+    count: summary.count,
+    symbols: summary.tokens.map(t => `$${t.symbol}`).join(' '),
+    breadth: `${breadth.above}/${breadth.total}`,
+    breadthPct: breadth.share == null ? '--' : `${Math.round(breadth.share * 100)}%`,
+    rsiMean: rsi.mean ?? '--',
+    dispersion: rsi.dispersion ?? '--',
+    archetypes: Object.entries(archetypes.counts).sort((a, b) => b[1] - a[1]).map(([a, n]) => `${a} ${n}`).join(' · ') || '--',
+    dominant: archetypes.dominant || 'observer',
+    rotation: rotation.direction,
+    rotationScore: signed(rotation.score),
+    rotationRatio: rotation.score == null ? '--' : `${(2 ** rotation.score).toFixed(1)}x`,
+    turnover: rotation.turnover ?? '--',
+    turnoverChange: signed(rotation.turnoverChange, 'pp'),
+    volume: formatNumber(rotation.volumeUSD),
+    change24h: formatPercent(rotation.change24h),
+    moon: sky.phase || 'Unknown',
+    tier: sky.tier || 'Veil',
+    tierGlyph: sky.glyph || '',
+    tierSignal: sky.signal || '',
+    kp: sky.kp ?? '--',
+    kpState: sky.kpState || ''
+  };
+}
+
+export function assembleWeather(summary, persona = getPersona()) {
+  return render(persona.templates.weather, weatherVars(summary)).trim();
+}
+
+export function buildWeatherPosterPrompt(summary, persona = getPersona()) {
+  return render(persona.prompts.weatherPoster, weatherVars(summary)).trim();
+}
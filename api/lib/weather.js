@@ -0,0 +1,263 @@
+import { getTokenDataById, getTrendingTokens } from './market.js';
+import { identifyArchetype } from './oracle.js';
+import { seedFor } from './oracle-metrics.js';
+import { gate, isBlocked, selectionConfig } from './selection.js';
+import { getKpState } from './spaceweather.js';
+import { getStore } from './store.js';
+
+/*
+ * "Market weather": one read over a basket (WEATHER_MAJORS plus the trending list) instead of a single coin.
+ * Every token with an RSI gets the usual archetype; the basket gets its archetype distribution, RSI dispersion, breadth
+ * (share above RSI 50) and where volume is going relative to market cap, majors vs trending.
+ * Majors pass the selection gates like watchlist tokens, trending ones like trending picks; the blocklist applies to both.
+ */
+const HISTORY_KEY = 'weather:history';
+const HISTORY_DAYS = 30;
+const HISTORY_STEP_MS = 55 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BREADTH_HIGH = 0.6;
+const BREADTH_LOW = 0.4;
+const DISPERSION_HIGH = 12;
+// log2 of trending turnover over major turnover: trending coins always churn faster, 4x is where it reads as rotation
+const ROTATION_IN = 2;
+const ROTATION_OUT = 0;
+
+const list = (v) => String(v || '').split(',').map(s => s.trim()).filter(Boolean);
+const round = (v, dp = 2) => v == null || !isFinite(v) ? null : Math.round(v * 10 ** dp) / 10 ** dp;
+const sum = (xs) => xs.reduce((a, b) => a + b, 0);
+
+export function weatherConfig(env = process.env) {
+  return {
+    majors: list(env.WEATHER_MAJORS || 'bitcoin,ethereum,solana'),
+    trending: Number(env.WEATHER_TRENDING || 7),
+    maxTokens: Number(env.WEATHER_MAX_TOKENS || 12)
+  };
+}
+
+// Majors first, so a major that is also trending counts as a major
+export function buildBasket(majors, trending, maxTokens = Infinity) {
+  const seen = new Set();
+  const out = [];
+  for (const [group, tokens] of [['major', majors.map(id => ({ id, symbol: null }))], ['trending', trending]]) {
+    for (const t of tokens) {
+      if (seen.has(t.id)) continue;
+      seen.add(t.id);
+      out.push({ id: t.id, symbol: t.symbol, group });
+    }
+  }
+  return out.slice(0, maxTokens);
+}
+
+export function basketEntry(tokenData, group) {
+  return {
+    id: tokenData.id,
+    symbol: tokenData.symbol,
+    group,
+    price: tokenData.price,
+    change24h: tokenData.change24h ?? null,
+    rsi: tokenData.rsi ?? null,
+    volumeUSD: tokenData.volumeUSD ?? null,
+    marketCap: tokenData.marketCap ?? null,
+    // No RSI, no archetype: defaulting to 50 would read every new listing as a seer
+    archetype: tokenData.rsi == null ? null : identifyArchetype({
+      symbol: tokenData.symbol,
+      rsi: tokenData.rsi,
+      volume: tokenData.volumeUSD,
+      seed: seedFor(tokenData.symbol).seed
+    })
+  };
+}
+
+// Token lookups run one at a time, like the other crons, to stay inside CoinGecko's rate limit
+export async function readBasket(config = weatherConfig(), selection = selectionConfig()) {
+  const basket = buildBasket(config.majors, await getTrendingTokens(config.trending), config.maxTokens);
+  const entries = [];
+  const excluded = [];
+  for (const t of basket) {
+    if (isBlocked(t, selection)) {
+      excluded.push({ id: t.id, reason: 'blocklisted' });
+      continue;
+    }
+    const tokenData = await getTokenDataById(t.id).catch(e => (console.warn(`weather token fail (${t.id}):`, e.message), null));
+    const reason = gate(tokenData, selection, { source: t.group === 'major' ? 'watchlist' : 'trending' });
+    if (reason) excluded.push({ id: t.id, reason });
+    else entries.push(basketEntry(tokenData, t.group));
+  }
+  return { entries, excluded };
+}
+
+export function rsiStats(entries) {
+  const values = entries.map(e => e.rsi).filter(v => typeof v === 'number').sort((a, b) => a - b);
+  if (!values.length) return { count: 0, mean: null, median: null, dispersion: null, min: null, max: null };
+  const mean = sum(values) / values.length;
+  const mid = Math.floor(values.length / 2);
+  const byRsi = entries.filter(e => typeof e.rsi === 'number').sort((a, b) => a.rsi - b.rsi);
+  return {
+    count: values.length,
+    mean: round(mean, 1),
+    median: values.length % 2 ? values[mid] : (values[mid - 1] + values[mid]) / 2,
+    // Population standard deviation: how far apart the basket's momentum is
+    dispersion: round(Math.sqrt(sum(values.map(v => (v - mean) ** 2)) / values.length), 1),
+    min: { symbol: byRsi[0].symbol, rsi: byRsi[0].rsi },
+    max: { symbol: byRsi.at(-1).symbol, rsi: byRsi.at(-1).rsi }
+  };
+}
+
+export function breadthOf(entries) {
+  const known = entries.filter(e => typeof e.rsi === 'number');
+  const above = known.filter(e => e.rsi > 50).length;
+  return { above, total: known.length, share: known.length ? round(above / known.length) : null };
+}
+
+// Over the tokens that have an archetype; the ones without an RSI are only counted under unknown
+export function archetypeDistribution(entries) {
+  const known = entries.filter(e => e.archetype);
+  const counts = {};
+  for (const e of known) counts[e.archetype] = (counts[e.archetype] || 0) + 1;
+  const percentages = Object.fromEntries(Object.entries(counts).map(([a, n]) => [a, round((n / known.length) * 100, 1)]));
+  // Ties go to the archetype that appears first in the basket, i.e. the majors
+  const dominant = Object.keys(counts).reduce((best, a) => !best || counts[a] > counts[best] ? a : best, null);
+  return { counts, percentages, dominant, unknown: entries.length - known.length };
+}
+
+/*
+ * Volume against market cap, for the basket and per group. turnover is 24h volume / market cap in %.
+ * score = log2(trending turnover / major turnover): how much harder the trending tokens are trading for their size.
+ * turnoverChange and scoreChange compare with a snapshot a day earlier.
+ */
+export function rotationOf(entries, previous = null) {
+  const sized = entries.filter(e => e.volumeUSD > 0 && e.marketCap > 0);
+  const volume = sum(sized.map(e => e.volumeUSD));
+  const marketCap = sum(sized.map(e => e.marketCap));
+  const weighted = sized.filter(e => typeof e.change24h === 'number');
+  const weightedCap = sum(weighted.map(e => e.marketCap));
+
+  const groups = {};
+  for (const group of ['major', 'trending']) {
+    const members = sized.filter(e => e.group === group);
+    const v = sum(members.map(e => e.volumeUSD));
+    const m = sum(members.map(e => e.marketCap));
+    groups[group] = {
+      count: members.length,
+      volumeUSD: v,
+      marketCap: m,
+      volumeShare: volume ? round(v / volume, 4) : null,
+      mcapShare: marketCap ? round(m / marketCap, 4) : null,
+      turnover: m ? round((v / m) * 100) : null
+    };
+  }
+
+  const turnover = marketCap ? round((volume / marketCap) * 100) : null;
+  const { major, trending } = groups;
+  const score = major.turnover && trending.turnover ? round(Math.log2(trending.turnover / major.turnover)) : null;
+  const change = (now, before) => now != null && before != null ? round(now - before) : null;
+  return {
+    volumeUSD: volume,
+    marketCap,
+    turnover,
+    turnoverChange: change(turnover, previous?.turnover),
+    change24h: weightedCap ? round(sum(weighted.map(e => e.change24h * e.marketCap)) / weightedCap) : null,
+    groups,
+    score,
+    scoreChange: change(score, previous?.score),
+    direction: score == null ? 'no trending read' : score > ROTATION_IN ? 'into trending' : score < ROTATION_OUT ? 'into majors' : 'balanced'
+  };
+}
+
+// Breadth says which way, dispersion says how together
+export function weatherCondition({ share, dispersion }) {
+  const split = dispersion != null && dispersion >= DISPERSION_HIGH;
+  if (share == null) return { label: 'Fog', glyph: '🌫', signal: 'No readings — the basket is silent.' };
+  if (share >= BREADTH_HIGH) {
+    return split
+      ? { label: 'Scattered Sun', glyph: '🌤', signal: 'Strength, but carried by a few.' }
+      : { label: 'Clear Skies', glyph: '☀️', signal: 'Broad strength — the basket moves as one.' };
+  }
+  if (share <= BREADTH_LOW) {
+    return split
+      ? { label: 'Squalls', glyph: '⛈', signal: 'Weakness with violent splits — only the strong stand.' }
+      : { label: 'Overcast', glyph: '☁️', signal: 'Broad weakness — no single storm, just grey.' };
+  }
+  return split
+    ? { label: 'Crosswinds', glyph: '🌬', signal: 'No side holds the wind — rotation, not direction.' }
+    : { label: 'Still Air', glyph: '🌥', signal: 'Balanced and quiet — pressure building.' };
+}
+
+// One summary of the basket under the current sky; lunar is getLunarSignal(), kp getRealtimeKp()
+export function summarizeWeather({ entries, excluded = [], lunar = null, kp = null, previous = null, time = new Date() }) {
+  const rsi = rsiStats(entries);
+  const breadth = breadthOf(entries);
+  return {
+    time: new Date(time).toISOString(),
+    condition: weatherCondition({ share: breadth.share, dispersion: rsi.dispersion }),
+    count: entries.length,
+    archetypes: archetypeDistribution(entries),
+    rsi,
+    breadth,
+    rotation: rotationOf(entries, previous),
+    sky: {
+      phase: lunar?.phase || null,
+      illumination: lunar?.illumination ?? null,
+      tier: lunar?.pattern?.tier || null,
+      glyph: lunar?.pattern?.glyph || null,
+      signal: lunar?.pattern?.signal || null,
+      kp: kp?.index ?? null,
+      kpState: kp?.index != null ? getKpState(kp.index) : null
+    },
+    tokens: entries,
+    excluded
+  };
+}
+
+// Series for pulse.html: everything is [label, value] pairs or points in time, ready for a bar or line chart
+export function weatherChart(summary, history = []) {
+  return {
+    archetypes: Object.entries(summary.archetypes.counts).sort((a, b) => b[1] - a[1]).map(([label, value]) => ({ label, value })),
+    rsi: [...summary.tokens].filter(t => t.rsi != null).sort((a, b) => b.rsi - a.rsi)
+      .map(t => ({ label: t.symbol, value: t.rsi, group: t.group, archetype: t.archetype })),
+    rotation: ['major', 'trending'].map(group => ({
+      label: group,
+      turnover: summary.rotation.groups[group].turnover,
+      volumeShare: summary.rotation.groups[group].volumeShare,
+      mcapShare: summary.rotation.groups[group].mcapShare
+    })),
+    history: history.map(h => ({ t: h.t, breadth: h.breadth, dispersion: h.dispersion, turnover: h.turnover, score: h.score }))
+  };
+}
+
+export const historyPoint = (summary) => ({
+  t: summary.time,
+  condition: summary.condition.label,
+  breadth: summary.breadth.share,
+  dispersion: summary.rsi.dispersion,
+  meanRsi: summary.rsi.mean,
+  turnover: summary.rotation.turnover,
+  score: summary.rotation.score,
+  dominant: summary.archetypes.dominant,
+  count: summary.count
+});
+
+// The snapshot rotation's turnoverChange is measured against: the latest one at least a day older than time
+export function dayEarlier(history, time = Date.now()) {
+  const t = new Date(time).getTime();
+  return [...history].reverse().find(h => t - Date.parse(h.t) >= DAY_MS - HISTORY_STEP_MS) || null;
+}
+
+// Hourly points, 30 days; a later call within the hour doesn't add one
+export async function appendWeatherHistory(summary) {
+  if (!summary.count) return;
+  const store = getStore();
+  const history = (await store.get(HISTORY_KEY)) || [];
+  const now = Date.parse(summary.time);
+  const lastT = history.length ? Date.parse(history[history.length - 1].t) : 0;
+  if (now - lastT < HISTORY_STEP_MS) return;
+  history.push(historyPoint(summary));
+  const cutoff = now - HISTORY_DAYS * DAY_MS;
+  await store.set(HISTORY_KEY, history.filter(h => Date.parse(h.t) >= cutoff));
+}
+
+export async function getWeatherHistory(days = HISTORY_DAYS) {
+  const cutoff = Date.now() - Math.min(days, HISTORY_DAYS) * DAY_MS;
+  return ((await getStore().get(HISTORY_KEY)) || []).filter(h => Date.parse(h.t) >= cutoff);
+}
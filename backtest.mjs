@@ -0,0 +1,47 @@
+import dotenv from 'dotenv';
+import { parseCutoffs, runBacktest } from './api/lib/backtest.js';
+
+dotenv.config();
+
+// Usage: node backtest.mjs <coingecko-id> [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--cutoffs=23.6,38.2,50,61.8,78.6] [--refresh] [--json]
+const args = process.argv.slice(2);
+const flag = (name) => args.find(a => a.startsWith(`--${name}`))?.split('=')[1] ?? (args.includes(`--${name}`) || undefined);
+const id = args.find(a => !a.startsWith('--'));
+
+if (!id) {
+  console.error('Usage: node backtest.mjs <coingecko-id> [--from=] [--to=] [--cutoffs=] [--refresh] [--json]');
+  process.exit(1);
+}
+
+const flatten = (groups) => Object.fromEntries(Object.entries(groups).map(([k, g]) => [k, {
+  n: g.n,
+  '1d %': g['1d'].mean, '1d hit': g['1d'].hitRate,
+  '7d %': g['7d'].mean, '7d hit': g['7d'].hitRate,
+  '30d %': g['30d'].mean, '30d hit': g['30d'].hitRate,
+  'dd30 avg': g.drawdown30d.mean, 'dd30 worst': g.drawdown30d.worst
+}]));
+
+try {
+  const result = await runBacktest(id, {
+    from: flag('from'),
+    to: flag('to'),
+    cutoffs: parseCutoffs(flag('cutoffs')),
+    refresh: !!flag('refresh')
+  });
+
+  if (flag('json')) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    const { history } = result;
+    console.log(`🔮 ${result.token.symbol} ${result.range.from} → ${result.range.to} (${result.range.days} days)`);
+    console.log(`   history ${history.from} → ${history.to}${history.limited ? ' ⚠️ limited by the CoinGecko plan or listing date, older days not replayed' : ''}\n`);
+    console.table(flatten({ all: result.baseline }));
+    console.log('\nBy archetype'); console.table(flatten(result.byArchetype));
+    console.log('\nBy lunar tier'); console.table(flatten(result.byTier));
+    console.log('\nBy lunar phase'); console.table(flatten(result.byPhase));
+    console.log(`\nBy RSI band (${result.byRsiBand.cutoffs.join(', ')})`); console.table(flatten(result.byRsiBand.bands));
+  }
+} catch (e) {
+  console.error('❌ Backtest failed:', e.message);
+  process.exit(1);
+}
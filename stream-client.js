@@ -0,0 +1,47 @@
+// Live updates from /api/stream for the static pages.
+//   AliceStream.on('lunar', data => ...)
+// EventSource resends Last-Event-ID on its own reconnects; if the connection is dropped for good
+// we reopen it with backoff and pass the last id as ?lastEventId= so nothing is missed.
+(function () {
+  const handlers = {};
+  let source = null;
+  let lastId = null;
+  let attempt = 0;
+
+  function bind(type) {
+    source.addEventListener(type, (e) => {
+      if (e.lastEventId) lastId = e.lastEventId;
+      let data;
+      try {
+        data = JSON.parse(e.data);
+      } catch {
+        return;
+      }
+      handlers[type].forEach(fn => fn(data, e));
+    });
+  }
+
+  function open() {
+    source = new EventSource('/api/stream' + (lastId ? `?lastEventId=${encodeURIComponent(lastId)}` : ''));
+    source.onopen = () => { attempt = 0; };
+    source.onerror = () => {
+      if (source.readyState !== EventSource.CLOSED) return;
+      source.close();
+      setTimeout(open, Math.min(60000, 1000 * 2 ** attempt++));
+    };
+    Object.keys(handlers).forEach(bind);
+  }
+
+  window.AliceStream = {
+    supported: 'EventSource' in window,
+    on(type, fn) {
+      if (!handlers[type]) {
+        handlers[type] = [];
+        if (source) bind(type);
+      }
+      handlers[type].push(fn);
+      if (!source && this.supported) setTimeout(() => source || open(), 0);
+      return this;
+    }
+  };
+})();
@@ -1,7 +1,26 @@
+import dotenv from 'dotenv';
+import fetch from 'node-fetch';
 import { createClient } from 'graphql-ws';
 import WebSocket from 'ws';
+import { ingestMigration, MIGRATION_QUERY, parseMigrationEvents } from './api/lib/migrations.js';
 
-const token = 'ory_at_neReIg_82BmLrhJCKDbQN42H-x9kbmSGvhSIqdgZOuI.lI4osqsMdinCGSHOLUlG4TNgPFPtpYAUS4b_qpnNod4';
+dotenv.config();
+
+// Long-running watcher: node subscribe.mjs (or npm run watch)
+// With ALICE_URL set, events are pushed to <ALICE_URL>/api/migrations; otherwise they're ingested into the local store.
+const token = process.env.BITQUERY_TOKEN;
+if (!token) {
+  console.error('❌ BITQUERY_TOKEN is not set');
+  process.exit(1);
+}
+
+const ALICE_URL = process.env.ALICE_URL?.replace(/\/$/, '');
+const MAX_BACKOFF_MS = 60 * 1000;
+const seen = new Set();
+let failures = 0;
+
+const backoff = (n) => Math.min(MAX_BACKOFF_MS, 1000 * 2 ** n) + Math.floor(Math.random() * 500);
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
 const client = createClient({
   url: 'wss://streaming.bitquery.io/graphql',
@@ -11,52 +30,76 @@ const client = createClient({
     }
   },
   webSocketImpl: WebSocket,
+  keepAlive: 30 * 1000,
+  retryAttempts: Infinity,
+  shouldRetry: () => true,
+  retryWait: async (n) => {
+    const ms = backoff(n);
+    console.warn(`🔌 Reconnecting in ${Math.round(ms / 1000)}s (attempt ${n + 1})`);
+    await sleep(ms);
+  },
+  on: {
+    connected: () => {
+      failures = 0;
+      console.log('📡 Connected to Bitquery');
+    },
+    closed: (e) => console.warn(`🔌 Socket closed${e?.code ? ` (${e.code})` : ''}`)
+  }
 });
 
-(async () => {
-  console.log('📡 Connecting to Bitquery WebSocket...');
-
-  await new Promise((resolve, reject) => {
-    client.subscribe(
-      {
-        query: `
-          subscription {
-            Solana {
-              Instructions(
-                where: {
-                  Instruction: {
-                    Program: {
-                      Address: { is: "LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj" },
-                      Method: { in: ["migrate_to_amm", "migrate_to_cpswap"] }
-                    }
-                  },
-                  Transaction: { Result: { Success: true } }
-                }
-              ) {
-                Block { Time }
-                Instruction {
-                  Program { Method }
-                  Accounts {
-                    Token { Mint }
-                  }
-                }
-                Transaction { Signature }
-              }
-            }
-          }
-        `
+async function push(event) {
+  if (!ALICE_URL) {
+    const { record, fresh } = await ingestMigration(event);
+    return { record, fresh };
+  }
+  const r = await fetch(`${ALICE_URL}/api/migrations`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(process.env.CRON_SECRET && { Authorization: `Bearer ${process.env.CRON_SECRET}` })
+    },
+    body: JSON.stringify(event)
+  });
+  if (!r.ok) throw new Error(`push HTTP ${r.status}`);
+  return r.json();
+}
+
+// posted is { x: ['…'], telegram: ['…'] } (the first id per channel), or { dryRun, preview } with DRY_RUN on the server
+const postedIds = (posted) => posted.dryRun
+  ? `dry run (${posted.preview?.token || '?'})`
+  : Object.entries(posted).map(([channel, ids]) => `${channel}:${ids?.[0]}`).join(' ');
+
+async function handle(payload) {
+  for (const event of parseMigrationEvents(payload)) {
+    if (seen.has(event.signature)) continue;
+    seen.add(event.signature);
+    if (seen.size > 5000) seen.delete(seen.values().next().value);
+
+    try {
+      const { record, fresh, posted } = await push(event);
+      console.log(`🚀 ${record?.symbol || event.mint} → ${record?.venue || event.method}${record?.archetype ? ` • ${record.archetype}` : ''}${fresh === false ? ' (dup)' : ''}${posted ? ` • posted ${postedIds(posted)}` : ''}`);
+    } catch (e) {
+      seen.delete(event.signature);
+      console.warn(`migration push fail (${event.mint}):`, e.message);
+    }
+  }
+}
+
+// A completed or errored subscription is re-opened with the same backoff as the socket
+while (true) {
+  console.log('📡 Subscribing to pump.fun migrations...');
+  await new Promise((resolve) => {
+    client.subscribe({ query: MIGRATION_QUERY }, {
+      next: (data) => handle(data).catch(e => console.warn('migration handle fail:', e.message)),
+      error: (err) => {
+        console.error('❌ Subscription error:', err?.message || err);
+        resolve();
       },
-      {
-        next: (data) => console.log('📥 Data:', JSON.stringify(data, null, 2)),
-        error: (err) => {
-          console.error('❌ Subscription error:', err);
-          reject(err);
-        },
-        complete: () => {
-          console.log('✅ Subscription complete');
-          resolve();
-        }
+      complete: () => {
+        console.log('✅ Subscription complete');
+        resolve();
       }
-    );
+    });
   });
-})();
+  await sleep(backoff(failures++));
+}
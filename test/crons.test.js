@@ -0,0 +1,323 @@
+import assert from 'assert/strict';
+import http from 'http';
+import { after, before, describe, it } from 'node:test';
+import { startFakeChannels } from './fake-channels.js';
+import { quiet, startApp, testEnv } from './helpers.js';
+import { startReplay } from './replay.js';
+
+// The crons end-to-end: X through the fixture replay, Telegram / Discord / Farcaster through the fake channel server
+const channels = await startFakeChannels();
+// The cooldown would skip SOL after the first post; each test here posts it again
+testEnv({ ...channels.env, TOKEN_COOLDOWN_HOURS: '0' });
+const AUTH = { headers: { authorization: 'Bearer test-secret' } };
+let api, replay, restore, lib;
+
+before(async () => {
+  restore = quiet();
+  replay = await startReplay();
+  const { default: app } = await import('../api/app.js');
+  api = await startApp(app);
+  lib = {
+    signals: await import('../api/lib/signals.js'),
+    outcomes: await import('../api/lib/outcomes.js'),
+    alerts: await import('../api/lib/alerts.js')
+  };
+});
+
+after(async () => {
+  await api?.close();
+  await replay?.stop();
+  await channels.close();
+  restore?.();
+});
+
+const tweetsPosted = () => replay.to('api.x.com').filter(r => r.method === 'POST' && r.path === '/2/tweets');
+
+describe('/api/cron/post', () => {
+  it('needs the cron secret', async () => {
+    const res = await api.get('/api/cron/post');
+    assert.equal(res.status, 401);
+  });
+
+  it('previews without posting on a dry run', async () => {
+    process.env.DRY_RUN = '1';
+    try {
+      const { status, body } = await api.get('/api/cron/post', AUTH);
+      assert.equal(status, 200);
+      assert.equal(body.dryRun, true);
+      assert.equal(body.token, 'SOL');
+      assert.deepEqual(body.active, ['x', 'telegram', 'discord', 'farcaster']);
+    } finally {
+      process.env.DRY_RUN = '';
+    }
+    assert.equal(tweetsPosted().length, 0);
+    assert.equal(channels.requests.length, 0);
+  });
+
+  it('publishes the read to every channel and records the signal', async () => {
+    const res = await api.get('/api/cron/post?force=1', AUTH);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.ok, true);
+    assert.equal(res.body.image, true);
+    assert.equal(res.body.tweetId, '1900000000000000001');
+    assert.deepEqual(Object.entries(res.body.channels).map(([n, r]) => [n, r.ok]), [
+      ['x', true], ['telegram', true], ['discord', true], ['farcaster', true]
+    ]);
+    assert.equal(res.headers.get('x-run-id'), res.body.runId);
+
+    // Poster uploaded to X in chunks, then the thread
+    const uploads = replay.to('upload.x.com').map(r => r.body.match(/INIT|APPEND|FINALIZE/)?.[0]);
+    assert.deepEqual(uploads, ['INIT', 'APPEND', 'FINALIZE']);
+    assert.ok(tweetsPosted().length > 1);
+    assert.match(tweetsPosted()[0].body, /"media_ids":\["1910000000000000001"\]/);
+
+    assert.deepEqual([...new Set(channels.requests.map(r => r.channel))], ['telegram', 'discord', 'farcaster']);
+    const cast = channels.requests.find(r => r.channel === 'farcaster');
+    assert.equal(cast.body.embeds[0].url, 'https://oaidalleapiprodscus.blob.core.windows.net/private/org-fixture/user-fixture/img-sol.png');
+
+    const [signal] = await lib.signals.listSignals();
+    assert.equal(signal.token, 'SOL');
+    assert.equal(signal.insight.source, 'model');
+    assert.deepEqual(Object.keys(signal.channels), ['x', 'telegram', 'discord', 'farcaster']);
+  });
+
+  it('keeps posting when one channel fails and reports it on /api/status', async () => {
+    const failing = await startFakeChannels({ fail: { discord: 500 } });
+    process.env.DISCORD_WEBHOOK_URL = failing.env.DISCORD_WEBHOOK_URL;
+    try {
+      const { status, body } = await api.get('/api/cron/post?force=1', AUTH);
+      assert.equal(status, 200);
+      assert.equal(body.channels.discord.ok, false);
+      assert.match(body.channels.discord.error, /HTTP 500/);
+      assert.doesNotMatch(body.channels.discord.error, /fake-token/);
+      assert.equal(body.channels.telegram.ok, true);
+    } finally {
+      process.env.DISCORD_WEBHOOK_URL = channels.env.DISCORD_WEBHOOK_URL;
+      await failing.close();
+    }
+
+    const { body } = await api.get('/api/status');
+    assert.equal(body.status, 'degraded');
+    assert.deepEqual(body.failing, ['channel:discord']);
+    assert.equal(body.crons.post.lastRun.status, 'ok');
+  });
+
+  it('fails the run with a 500 when every channel fails', async () => {
+    const failing = await startFakeChannels({ fail: { telegram: 500, discord: 500, farcaster: 500 } });
+    const saved = { ...process.env };
+    Object.assign(process.env, failing.env, { PUBLISH_X: '0' });
+    try {
+      const { status, body } = await api.get('/api/cron/post?force=1', AUTH);
+      assert.equal(status, 500);
+      assert.match(body.error, /every channel failed/);
+    } finally {
+      Object.assign(process.env, saved, { PUBLISH_X: '' });
+      await failing.close();
+    }
+
+    const { body } = await api.get('/api/status');
+    assert.equal(body.recentFailures[0].stage, 'publish');
+    assert.equal(body.crons.post.failures, 1);
+  });
+});
+
+describe('/api/cron/weather', () => {
+  it('previews the basket read on a dry run', async () => {
+    process.env.DRY_RUN = '1';
+    try {
+      const { status, body } = await api.get('/api/cron/weather', AUTH);
+      assert.equal(status, 200);
+      assert.equal(body.dryRun, true);
+      assert.equal(body.summary.count, 4);
+      assert.match(body.fullText, /^🌬 MARKET WEATHER/);
+      assert.match(body.posterPrompt, /sacred weather glyph/);
+    } finally {
+      process.env.DRY_RUN = '';
+    }
+  });
+
+  it('posts the market weather with its poster to every channel', async () => {
+    const before = { tweets: tweetsPosted().length, channels: channels.requests.length };
+    const { status, body } = await api.get('/api/cron/weather?force=1', AUTH);
+    assert.equal(status, 200);
+    assert.equal(body.condition, 'Crosswinds');
+    assert.equal(body.image, true);
+    assert.ok(Object.values(body.channels).every(r => r.ok));
+
+    const tweets = tweetsPosted().slice(before.tweets).map(r => JSON.parse(r.body));
+    assert.match(tweets[0].text, /MARKET WEATHER/);
+    assert.ok(tweets[0].media.media_ids.length);
+    const cast = channels.requests.slice(before.channels).find(r => r.channel === 'farcaster');
+    assert.match(cast.body.text, /MARKET WEATHER/);
+
+    const { body: weather } = await api.get('/api/weather');
+    assert.equal(weather.lastPost.condition, 'Crosswinds');
+    assert.equal(body.poster, cast.body.embeds[0].url);
+    // The provider's signed URL expires, so the page links the posted condition's sigil instead
+    assert.match(weather.poster.url, /\/api\/sigil\/MARKET\.png\?/);
+    assert.notEqual(weather.poster.url, body.poster);
+    assert.equal(weather.poster.generated, true);
+    assert.equal(weather.poster.condition, 'Crosswinds');
+    // Weather posts aren't token reads: nothing lands in the signal ledger
+    assert.ok((await lib.signals.listSignals()).every(s => s.token !== 'MARKET'));
+  });
+
+  it('keeps the slot when a thread broke part-way, so the next run does not post it again', async () => {
+    const failing = await startFakeChannels({ fail: { telegram: 500, discord: 500 }, failAfter: { farcaster: 1 } });
+    const saved = { ...process.env };
+    Object.assign(process.env, failing.env, { PUBLISH_X: '0' });
+    try {
+      const { status, body } = await api.get('/api/cron/weather', AUTH);
+      assert.equal(status, 500);
+      assert.match(body.error, /every channel failed/);
+      assert.equal(body.sent.farcaster.length, 1);
+
+      const again = await api.get('/api/cron/weather', AUTH);
+      assert.equal(again.body.skipped, 'already ran for this slot');
+      assert.equal(failing.requests.filter(r => r.channel === 'farcaster').length, 2);
+    } finally {
+      Object.assign(process.env, saved, { PUBLISH_X: '' });
+      await failing.close();
+    }
+  });
+});
+
+describe('/api/cron/reply', () => {
+  it('answers each new mention once', async () => {
+    const before = tweetsPosted().length;
+    const { status, body } = await api.get('/api/cron/reply', AUTH);
+    assert.equal(status, 200);
+    assert.equal(body.sent, 2);
+    assert.equal(body.sinceId, '1800000000000000102');
+
+    const replies = tweetsPosted().slice(before).map(r => JSON.parse(r.body));
+    assert.equal(replies[0].reply.in_reply_to_tweet_id, '1800000000000000101');
+    assert.match(replies[0].text, /SOLANA \/\/ SOL/);
+    assert.match(replies.at(-1).text, /no reflection for \$NOPE/);
+
+    const again = await api.get('/api/cron/reply?force=1', AUTH);
+    assert.equal(again.body.sent, 0);
+    const mentions = replay.to('api.x.com').filter(r => r.path.endsWith('/mentions'));
+    assert.equal(mentions.at(-1).query.since_id, '1800000000000000102');
+  });
+});
+
+describe('/api/sync-tweets', () => {
+  it('imports oracle reads from the timeline', async () => {
+    const { status, body } = await api.get('/api/sync-tweets', AUTH);
+    assert.equal(status, 200);
+    assert.deepEqual({ scanned: body.scanned, synced: body.synced, added: body.added }, { scanned: 3, synced: 2, added: 2 });
+
+    const signals = await lib.signals.listSignals();
+    const synced = signals.find(s => s.id === '1790000000000000001');
+    assert.equal(synced.token, 'SOL');
+    assert.equal(synced.price, 131.3);
+    assert.equal(synced.sigil, 'https://pbs.twimg.com/media/fixture-sol.png');
+    // A reply to the bot's own tweet is a thread continuation, not a reply to someone
+    const continued = signals.find(s => s.id === '1790000000000000003');
+    assert.equal(continued.source, 'post');
+    assert.equal(continued.change24h, 0);
+  });
+});
+
+describe('/api/cron/outcomes', () => {
+  it('scores due reads against the price path', async () => {
+    await lib.signals.upsertSignals([{
+      id: 'fixture-outcome', source: 'post', tokenId: 'solana', token: 'SOL', archetype: 'seer', price: 140,
+      levels: { threshold: 147, echoRim: 161, invalidation: 134.4 }, timestamp: '2026-09-01T00:00:00.000Z'
+    }, {
+      id: 'fixture-no-data', source: 'post', tokenId: 'ghost-coin', token: 'GHOST', archetype: 'echo', price: 1, timestamp: '2026-09-01T00:00:00.000Z'
+    }]);
+    const { status, body } = await api.get('/api/cron/outcomes', AUTH);
+    assert.equal(status, 200);
+    assert.deepEqual(body.resolved, [{ id: 'fixture-outcome', result: 'threshold' }]);
+    assert.deepEqual(body.noData, [{ id: 'fixture-no-data', misses: 1, abandoned: false }]);
+
+    const { body: pulse } = await api.get('/api/pulse');
+    assert.equal(pulse.outcomes.overall.resolved, 1);
+
+    const { body: history } = await api.get('/api/celestial/history?days=1');
+    assert.equal(history.count, 1);
+    assert.equal(history.points[0].kp, 3);
+  });
+
+  it('backs off reads without price data and gives up on them', () => {
+    const { MAX_MISSES, dueCheckpoints, missedOutcome, scoreSignal } = lib.outcomes;
+    const now = Date.parse('2026-09-10T00:00:00Z');
+    let signal = { tokenId: 'ghost-coin', price: 1, timestamp: '2026-09-01T00:00:00.000Z' };
+    signal = { ...signal, outcome: missedOutcome(signal, now) };
+    assert.deepEqual(dueCheckpoints(signal, now + 60 * 60000), []);
+    assert.equal(dueCheckpoints(signal, now + 6 * 60 * 60000).length, 3);
+
+    for (let i = 1; i < MAX_MISSES; i++) signal = { ...signal, outcome: missedOutcome(signal, now) };
+    assert.equal(signal.outcome.abandoned, true);
+    assert.deepEqual(dueCheckpoints(signal, now + 7 * 24 * 60 * 60000), []);
+
+    const scored = scoreSignal({ ...signal, outcome: missedOutcome({ ...signal, outcome: {} }, now) }, [[Date.parse(signal.timestamp), 1]], now);
+    assert.equal(scored.misses, undefined);
+  });
+});
+
+describe('/api/cron/alerts', () => {
+  it('delivers a signed webhook when a rule fires', async () => {
+    const hits = [];
+    const hook = http.createServer(async (req, res) => {
+      const chunks = [];
+      for await (const c of req) chunks.push(c);
+      hits.push({ headers: req.headers, body: JSON.parse(Buffer.concat(chunks).toString()) });
+      res.end('ok');
+    });
+    await new Promise(resolve => hook.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const url = `http://127.0.0.1:${hook.address().port}/hook`;
+      const rule = await lib.alerts.createRule({ tokenId: 'solana', condition: { type: 'price_cross', level: 130, direction: 'up' }, webhook: { url } });
+      await lib.alerts.updateRuleStates({ [rule.id]: { price: 120 } });
+
+      const { status, body } = await api.get('/api/cron/alerts', AUTH);
+      assert.equal(status, 200);
+      assert.deepEqual(body.fired.map(f => [f.event, f.delivered]), [['price:up:130', true]]);
+      assert.equal(hits.length, 1);
+      assert.equal(hits[0].headers['x-alice-signature'], lib.alerts.signPayload(rule.webhook.secret, hits[0].headers['x-alice-timestamp'], JSON.stringify(hits[0].body)));
+    } finally {
+      await new Promise(resolve => hook.close(resolve));
+    }
+  });
+
+  it('stops on a 4xx and times out a hook that never answers', async () => {
+    let hits = 0;
+    const hook = http.createServer((req, res) => {
+      hits++;
+      if (req.url === '/rejects') res.writeHead(410).end();
+    });
+    await new Promise(resolve => hook.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const rule = (path) => ({ webhook: { url: `http://127.0.0.1:${hook.address().port}${path}`, secret: 's' } });
+      assert.deepEqual(await lib.alerts.deliver(rule('/rejects'), {}, { baseDelay: 1 }), { ok: false, error: 'HTTP 410', attempts: 1 });
+      assert.deepEqual(await lib.alerts.deliver(rule('/hangs'), {}, { retries: 1, baseDelay: 1, timeout: 50 }), { ok: false, error: 'timeout after 50ms', attempts: 2 });
+      assert.equal(hits, 3);
+    } finally {
+      hook.closeAllConnections();
+      await new Promise(resolve => hook.close(resolve));
+    }
+  });
+});
+
+describe('signal ledger', () => {
+  it('keeps every entry when writes overlap', async () => {
+    const entries = Array.from({ length: 12 }, (_, i) => ({ source: 'concurrency', token: `C${i}`, content: String(i) }));
+    await Promise.all([
+      ...entries.slice(0, 6).map(e => lib.signals.recordSignal(e)),
+      ...entries.slice(6).map((e, i) => lib.signals.upsertSignals([{ id: `concurrent-${i}`, timestamp: new Date().toISOString(), ...e }]))
+    ]);
+    const tokens = (await lib.signals.listSignals({ source: 'concurrency' })).map(s => s.token).sort();
+    assert.deepEqual(tokens, entries.map(e => e.token).sort());
+  });
+});
+
+describe('fixtures', () => {
+  it('cover every outbound request', () => {
+    assert.deepEqual(replay.misses, []);
+  });
+});
@@ -0,0 +1,97 @@
+import http from 'http';
+
+/*
+ * One local HTTP server standing in for Telegram, a Discord webhook and a Neynar-compatible Farcaster API.
+ * Point the adapters at it with the returned env; every request lands in `requests` with its parsed body.
+ * fail: { telegram: 500 } makes a channel answer with that status; failAfter: { farcaster: 1 } does so after that many successes.
+ * X goes through twitter-api-v2, which only speaks https to fixed hosts, so it gets fakeXClient() instead.
+ */
+export async function startFakeChannels({ fail = {}, failAfter = {} } = {}) {
+  const requests = [];
+  const served = {};
+  let seq = 0;
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const c of req) chunks.push(c);
+    const raw = Buffer.concat(chunks);
+    const type = req.headers['content-type'] || '';
+    const body = type.includes('multipart/form-data') ? parseMultipart(raw, type) : type.includes('json') ? JSON.parse(raw.toString() || '{}') : raw.toString();
+    const url = new URL(req.url, 'http://fake');
+
+    const channel = url.pathname.startsWith('/bot') ? 'telegram' : url.pathname.startsWith('/webhooks/') ? 'discord' : url.pathname.startsWith('/v2/farcaster/') ? 'farcaster' : null;
+    requests.push({ channel, method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body });
+
+    const reply = (status, json) => {
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(json));
+    };
+    if (!channel) return reply(404, { message: 'not found' });
+    if (fail[channel] || served[channel] >= failAfter[channel]) return reply(fail[channel] || 500, { ok: false, description: `fake ${channel} failure`, message: `fake ${channel} failure` });
+    served[channel] = (served[channel] || 0) + 1;
+
+    const id = ++seq;
+    if (channel === 'telegram') return reply(200, { ok: true, result: { message_id: id, chat: { id: body.chat_id } } });
+    if (channel === 'discord') return reply(200, { id: `9${String(id).padStart(17, '0')}`, channel_id: '1' });
+    return reply(200, { success: true, cast: { hash: `0x${id.toString(16).padStart(40, '0')}` } });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    base,
+    requests,
+    env: {
+      TELEGRAM_API_URL: base,
+      TELEGRAM_BOT_TOKEN: 'fake-token',
+      TELEGRAM_CHAT_ID: '-1001',
+      DISCORD_WEBHOOK_URL: `${base}/webhooks/1/fake-token`,
+      NEYNAR_API_URL: base,
+      NEYNAR_API_KEY: 'fake-key',
+      NEYNAR_SIGNER_UUID: 'fake-signer'
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Fields as strings, files as { filename, type, size }
+function parseMultipart(raw, type) {
+  const boundary = type.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  const out = {};
+  if (!boundary) return out;
+  const parts = raw.toString('latin1').split(`--${boundary[1] || boundary[2]}`).slice(1, -1);
+  for (const part of parts) {
+    const [head, ...rest] = part.replace(/^\r\n/, '').split('\r\n\r\n');
+    const content = rest.join('\r\n\r\n').replace(/\r\n$/, '');
+    const name = head.match(/name="([^"]+)"/)?.[1];
+    const filename = head.match(/filename="([^"]*)"/)?.[1];
+    if (!name) continue;
+    out[name] = filename !== undefined
+      ? { filename, type: head.match(/content-type:\s*(\S+)/i)?.[1] || null, size: Buffer.byteLength(content, 'latin1') }
+      : Buffer.from(content, 'latin1').toString('utf8');
+  }
+  return out;
+}
+
+// Minimal stand-in for the twitter-api-v2 surface the X publisher uses; failAfter: n breaks a thread after n tweets
+export function fakeXClient({ fail = false, failAfter = Infinity } = {}) {
+  const calls = [];
+  let seq = 0;
+  return {
+    calls,
+    v1: {
+      async uploadMedia(buffer, options) {
+        calls.push({ type: 'media', size: buffer.length, mimeType: options?.mimeType });
+        return `media-${++seq}`;
+      }
+    },
+    v2: {
+      async tweet(payload) {
+        if (fail || calls.filter(c => c.type === 'tweet').length >= failAfter) throw new Error('fake x failure');
+        calls.push({ type: 'tweet', payload });
+        return { data: { id: `1${String(++seq).padStart(18, '0')}` } };
+      }
+    }
+  };
+}
@@ -0,0 +1,50 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { formatNumber, formatPercent, formatPrice } from '../api/lib/format.js';
+
+describe('formatNumber', () => {
+  it('abbreviates thousands, millions and billions', () => {
+    assert.equal(formatNumber(999), '999.00');
+    assert.equal(formatNumber(1500), '1.50K');
+    assert.equal(formatNumber(2_345_678), '2.35M');
+    assert.equal(formatNumber(61_345_322_240), '61.35B');
+  });
+
+  it('honours decimals', () => {
+    assert.equal(formatNumber(1500, 0), '2K');
+    assert.equal(formatNumber(0.123456, 4), '0.1235');
+  });
+
+  it('keeps zero and marks missing values', () => {
+    assert.equal(formatNumber(0), '0.00');
+    assert.equal(formatNumber(null), '--');
+    assert.equal(formatNumber(undefined), '--');
+    assert.equal(formatNumber(NaN), '--');
+  });
+});
+
+describe('formatPrice', () => {
+  it('scales precision with the price', () => {
+    assert.equal(formatPrice(131.3042), '131.30');
+    assert.equal(formatPrice(1), '1.00');
+    assert.equal(formatPrice(0.5123), '0.5123');
+    assert.equal(formatPrice(0.00041), '0.00041000');
+  });
+
+  it('keeps zero and marks missing values', () => {
+    assert.equal(formatPrice(0), '0.00000000');
+    assert.equal(formatPrice(null), '--');
+  });
+});
+
+describe('formatPercent', () => {
+  it('signs positive changes only', () => {
+    assert.equal(formatPercent(3.421), '+3.42%');
+    assert.equal(formatPercent(-12.7), '-12.70%');
+    assert.equal(formatPercent(0), '0.00%');
+  });
+
+  it('marks missing values', () => {
+    assert.equal(formatPercent(undefined), '--');
+  });
+});
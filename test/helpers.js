@@ -0,0 +1,110 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+export const GOLDEN = path.join(HERE, 'golden');
+
+/*
+ * Environment for importing the app under test: a throwaway file store, every provider and channel pointed
+ * at fixtures, nothing from a developer's .env (dotenv never overrides a variable that is already set).
+ */
+export function testEnv(extra = {}) {
+  const env = {
+    STORE_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'alice-test-')),
+    STORE: '',
+    VERCEL: '',
+    KV_REST_API_URL: '',
+    KV_REST_API_TOKEN: '',
+    CRON_SECRET: 'test-secret',
+    DRY_RUN: '',
+    PUBLIC_URL: 'https://alice.test',
+    COINGECKO_API_KEY: '',
+    BIRDEYE_API_KEY: '',
+    WEATHER_API_KEY: 'test-weather-key',
+    OPENAI_API_KEY: 'test-openai-key',
+    LLM_BASE_URL: '',
+    TEXT_PROVIDER: '',
+    IMAGE_PROVIDER: '',
+    PERSONA: '',
+    THREADS: '',
+    OUTCOME_QUOTES: '',
+    MIGRATION_POST: '',
+    X_BEARER_TOKEN: 'test-bearer',
+    X_CONSUMER_KEY: 'test-consumer-key',
+    X_CONSUMER_SECRET: 'test-consumer-secret',
+    X_ACCESS_TOKEN: 'test-access-token',
+    X_ACCESS_SECRET: 'test-access-secret',
+    TELEGRAM_BOT_TOKEN: '',
+    DISCORD_WEBHOOK_URL: '',
+    NEYNAR_API_KEY: '',
+    WATCHLIST: '',
+    BLOCKLIST: '',
+    LUNAR_LAT: '',
+    LUNAR_LON: '',
+    ...extra
+  };
+  // Recording needs real credentials: keep the ones exported in the shell
+  if (process.env.REPLAY_RECORD === '1') {
+    for (const k of Object.keys(env)) if (/KEY|TOKEN|SECRET/.test(k) && k !== 'CRON_SECRET' && process.env[k]) delete env[k];
+  }
+  Object.assign(process.env, env);
+  return env;
+}
+
+// App logs are muted unless TEST_LOGS=1; test output stays readable and failures still show assertions
+export function quiet() {
+  if (process.env.TEST_LOGS === '1') return () => {};
+  const saved = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+  console.log = console.info = console.warn = console.error = () => {};
+  return () => Object.assign(console, saved);
+}
+
+export async function startApp(app) {
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, url, { body, headers = {} } = {}) => {
+    const res = await fetch(`${base}${url}`, {
+      method,
+      headers: { ...(body ? { 'content-type': 'application/json' } : {}), ...headers },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const type = res.headers.get('content-type') || '';
+    const data = type.includes('json') ? await res.json() : /^image\/(?!svg)/.test(type) ? Buffer.from(await res.arrayBuffer()) : await res.text();
+    return { status: res.status, headers: res.headers, body: data };
+  };
+  return {
+    base,
+    get: (url, opts) => call('GET', url, opts),
+    post: (url, body, opts) => call('POST', url, { ...opts, body }),
+    del: (url, opts) => call('DELETE', url, opts),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Structure without the values: leaves become their type, arrays keep the shape of their first item
+export function shapeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return value.length ? [shapeOf(value[0])] : [];
+  if (typeof value === 'object') return Object.fromEntries(Object.keys(value).sort().map(k => [k, shapeOf(value[k])]));
+  return typeof value;
+}
+
+/*
+ * Compares against test/golden/<name>; UPDATE_GOLDEN=1 rewrites the file instead.
+ * Strings are stored as-is, anything else as pretty JSON.
+ */
+export function matchGolden(name, actual) {
+  const file = path.join(GOLDEN, name);
+  const text = typeof actual === 'string' ? actual : `${JSON.stringify(actual, null, 2)}\n`;
+  if (process.env.UPDATE_GOLDEN === '1' || !fs.existsSync(file)) {
+    fs.mkdirSync(GOLDEN, { recursive: true });
+    fs.writeFileSync(file, text);
+    return;
+  }
+  assert.equal(text, fs.readFileSync(file, 'utf8'), `${name} differs from its golden file (UPDATE_GOLDEN=1 to accept)`);
+}
@@ -0,0 +1,89 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { getLunarMessage, getLunarPatternTierFromAngle, identifyArchetype, quoteFromArchetype } from '../api/lib/oracle.js';
+import { getKpState } from '../api/lib/spaceweather.js';
+
+describe('identifyArchetype', () => {
+  it('maps RSI bands to archetypes', () => {
+    assert.equal(identifyArchetype({ symbol: 'ETH', rsi: 10 }), 'shadow');
+    assert.equal(identifyArchetype({ symbol: 'ETH', rsi: 30, volume: 5e6 }), 'observer');
+    assert.equal(identifyArchetype({ symbol: 'ETH', rsi: 30, volume: 5e7 }), 'trickster');
+    assert.equal(identifyArchetype({ symbol: 'ETH', rsi: 45 }), 'echo');
+    assert.equal(identifyArchetype({ symbol: 'ETH', rsi: 55 }), 'seer');
+    assert.equal(identifyArchetype({ symbol: 'ETH', rsi: 70 }), 'guardian');
+    assert.equal(identifyArchetype({ symbol: 'ETH', rsi: 85 }), 'seer');
+  });
+
+  it('puts band edges in the upper band', () => {
+    assert.equal(identifyArchetype({ rsi: 23.6 }), 'observer');
+    assert.equal(identifyArchetype({ rsi: 38.2 }), 'echo');
+    assert.equal(identifyArchetype({ rsi: 50 }), 'seer');
+    assert.equal(identifyArchetype({ rsi: 61.8 }), 'guardian');
+    assert.equal(identifyArchetype({ symbol: 'ETH', rsi: 78.6 }), 'seer');
+  });
+
+  it('reads overbought SOL as the prophet', () => {
+    assert.equal(identifyArchetype({ symbol: 'SOL', rsi: 80 }), 'prophet');
+  });
+
+  it('picks BONK deterministically from the seed', () => {
+    const a = identifyArchetype({ symbol: 'BONK', rsi: 90, seed: 'ffffffff00000000' });
+    assert.ok(['cultist', 'trickster'].includes(a));
+    assert.equal(identifyArchetype({ symbol: 'BONK', rsi: 90, seed: 'ffffffff00000000' }), a);
+  });
+
+  it('defaults to a neutral RSI and volume', () => {
+    assert.equal(identifyArchetype({}), 'seer');
+    assert.equal(identifyArchetype({ rsi: 30, volume: 'n/a' }), 'observer');
+  });
+});
+
+describe('getLunarPatternTierFromAngle', () => {
+  it('walks the tiers around the cycle', () => {
+    const tiers = [0, 45, 90, 135, 180, 225, 270, 315].map(a => getLunarPatternTierFromAngle(a).tier);
+    assert.deepEqual(tiers, ['Veil', 'Whisper', 'Charge', 'Charge', 'Overglow', 'Echofield', 'Whisper', 'Veil']);
+  });
+
+  it('switches tier exactly at the boundaries', () => {
+    assert.equal(getLunarPatternTierFromAngle(22.49).tier, 'Veil');
+    assert.equal(getLunarPatternTierFromAngle(22.5).tier, 'Whisper');
+    assert.equal(getLunarPatternTierFromAngle(157.5).tier, 'Overglow');
+    assert.equal(getLunarPatternTierFromAngle(292.5).tier, 'Veil');
+  });
+
+  it('tells waxing from waning within the same tier', () => {
+    assert.notEqual(getLunarPatternTierFromAngle(90).signal, getLunarPatternTierFromAngle(135).signal);
+    assert.notEqual(getLunarPatternTierFromAngle(45).signal, getLunarPatternTierFromAngle(270).signal);
+  });
+
+  it('returns a glyph and signal with every tier', () => {
+    for (let a = 0; a < 360; a += 15) {
+      const p = getLunarPatternTierFromAngle(a);
+      assert.ok(p.glyph && p.signal, `angle ${a}`);
+    }
+  });
+});
+
+describe('getKpState', () => {
+  it('maps Kp to a geomagnetic state', () => {
+    assert.equal(getKpState(0), '⚪ Quiet');
+    assert.equal(getKpState(1.99), '⚪ Quiet');
+    assert.equal(getKpState(2), '🟡 Unsettled');
+    assert.equal(getKpState(4), '🟠 Active');
+    assert.equal(getKpState(6), '🔴 Storm Watch');
+    assert.equal(getKpState(9), '🔴 Storm Watch');
+  });
+});
+
+describe('lunar messages and archetype quotes', () => {
+  it('prefers persona overrides, then the built-in message', () => {
+    assert.equal(getLunarMessage('Full Moon'), 'Full sentiment — prepare for reversal.');
+    assert.equal(getLunarMessage('Full Moon', { 'Full Moon': 'Bright.' }), 'Bright.');
+    assert.equal(getLunarMessage('Blue Moon'), 'Lunar unknown — silence reverberates.');
+  });
+
+  it('has a quote for unknown archetypes', () => {
+    assert.equal(quoteFromArchetype('shadow'), 'Down here, even silence wails.');
+    assert.equal(quoteFromArchetype('nobody'), 'Conviction preempts price.');
+  });
+});
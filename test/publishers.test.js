@@ -0,0 +1,119 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { fakeXClient, startFakeChannels } from './fake-channels.js';
+import { GOLDEN, quiet, testEnv } from './helpers.js';
+
+// The channel adapters against the fake channel server and a fake X client
+const channels = await startFakeChannels();
+testEnv(channels.env);
+const { PUBLISHERS, activeChannels, channelEnabled, channelIds, formatForChannels, publishToChannels } = await import('../api/lib/publishers.js');
+const { setXClient } = await import('../api/lib/publishers/x.js');
+
+const read = { text: fs.readFileSync(path.join(GOLDEN, 'tweet.txt'), 'utf8'), archetype: 'seer' };
+// Long enough to need a thread everywhere, with markup characters that need escaping
+const long = { text: `${read.text}\n\n${Array.from({ length: 40 }, (_, i) => `Line ${i}: <edge> & *floor* held_${i}.`).join('\n')}`, archetype: 'seer' };
+const image = Buffer.from('89504e470d0a1a0a', 'hex');
+let x, restore;
+
+before(() => {
+  restore = quiet();
+  x = fakeXClient();
+  setXClient(x);
+});
+
+after(async () => {
+  setXClient(undefined);
+  await channels.close();
+  restore?.();
+});
+
+describe('channelEnabled', () => {
+  it('follows credentials and PUBLISH_<NAME>=0', () => {
+    assert.deepEqual(activeChannels().map(p => p.name), ['x', 'telegram', 'discord', 'farcaster']);
+    process.env.PUBLISH_TELEGRAM = 'off';
+    try {
+      assert.equal(channelEnabled(PUBLISHERS.telegram), false);
+      assert.deepEqual(activeChannels().map(p => p.name), ['x', 'discord', 'farcaster']);
+    } finally {
+      process.env.PUBLISH_TELEGRAM = '';
+    }
+  });
+});
+
+describe('formatting', () => {
+  it('keeps every channel within its limits', () => {
+    const { x: plan, telegram, discord, farcaster } = formatForChannels(long);
+    assert.ok(plan.tweets.length > 1);
+    assert.ok(plan.tweets.every(t => t.length <= 280));
+
+    const text = (s) => s.replace(/<[^>]+>/g, '').replace(/&lt;|&gt;|&amp;/g, '_');
+    assert.ok(text(telegram.caption).length <= 1024);
+    assert.ok(telegram.messages.every(m => text(m).length <= 4096));
+    assert.doesNotMatch(telegram.caption, /<edge>/);
+
+    assert.ok(discord.embeds[0].title.startsWith('◇ SOLANA // SOL'));
+    assert.ok(discord.embeds.every(e => e.description.length <= 4096));
+    assert.match(discord.embeds.map(e => e.description).join('\n'), /\\\*floor\\\*/);
+
+    assert.ok(farcaster.casts.length > 1);
+    assert.ok(farcaster.casts.every(c => Buffer.byteLength(c, 'utf8') <= 320));
+  });
+});
+
+describe('publishToChannels', () => {
+  it('sends the read and the poster to every channel', async () => {
+    const results = await publishToChannels(read, { image, imageUrl: 'https://alice.test/api/sigil/SOL.png' });
+    assert.ok(Object.values(results).every(r => r.ok));
+
+    assert.equal(x.calls[0].type, 'media');
+    assert.equal(x.calls[0].size, image.length);
+    assert.equal(results.x.url, `https://x.com/i/status/${results.x.ids[0]}`);
+
+    const sent = (channel) => channels.requests.filter(r => r.channel === channel);
+    assert.equal(sent('telegram')[0].path, '/botfake-token/sendPhoto');
+    assert.equal(sent('telegram')[0].body.photo.type, 'image/png');
+    assert.equal(JSON.parse(sent('discord')[0].body.payload_json).embeds[0].image.url, 'attachment://oracle.png');
+    assert.equal(sent('farcaster')[0].body.embeds[0].url, 'https://alice.test/api/sigil/SOL.png');
+    assert.equal(sent('farcaster')[0].headers['x-api-key'], 'fake-key');
+  });
+
+  it('records a failing channel without stopping the others', async () => {
+    const failing = await startFakeChannels({ fail: { discord: 502 } });
+    process.env.DISCORD_WEBHOOK_URL = failing.env.DISCORD_WEBHOOK_URL;
+    try {
+      const results = await publishToChannels(read);
+      assert.deepEqual(Object.entries(results).map(([n, r]) => [n, r.ok]), [
+        ['x', true], ['telegram', true], ['discord', false], ['farcaster', true]
+      ]);
+      assert.match(results.discord.error, /HTTP 502/);
+      assert.deepEqual(Object.keys(channelIds(results)), ['x', 'telegram', 'farcaster']);
+    } finally {
+      process.env.DISCORD_WEBHOOK_URL = channels.env.DISCORD_WEBHOOK_URL;
+      await failing.close();
+    }
+  });
+
+  it('reports X failures like any other channel', async () => {
+    setXClient(fakeXClient({ fail: true }));
+    try {
+      const results = await publishToChannels(read, { channels: [PUBLISHERS.x] });
+      assert.deepEqual(results, { x: { ok: false, error: 'fake x failure' } });
+    } finally {
+      setXClient(x);
+    }
+  });
+
+  it('keeps the ids of a thread that broke part-way', async () => {
+    setXClient(fakeXClient({ failAfter: 2 }));
+    try {
+      const results = await publishToChannels(long, { channels: [PUBLISHERS.x, PUBLISHERS.telegram] });
+      assert.equal(results.x.ok, false);
+      assert.equal(results.x.ids.length, 2);
+      assert.deepEqual(Object.keys(channelIds(results)), ['x', 'telegram']);
+    } finally {
+      setXClient(x);
+    }
+  });
+});
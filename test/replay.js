@@ -0,0 +1,146 @@
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import { syncBuiltinESMExports } from 'module';
+import path from 'path';
+import { fileURLToPath, urlToHttpOptions } from 'url';
+
+/*
+ * Fixture replay for every outbound HTTP call. http/https.request are patched so requests to any host but
+ * localhost go to an in-process server that answers from test/fixtures/http/<host>.json — node-fetch,
+ * the OpenAI SDK and twitter-api-v2 all end up there, so nothing in the app needs to know it is under test.
+ *
+ * Fixture entry: { method, path, query?, body?, status, headers?, json | text | base64 }
+ *   query: params that must match (others are ignored); body: substring the raw request body must contain.
+ *   The first matching entry answers. A request with no fixture gets a 404 and lands in `misses`.
+ * REPLAY_RECORD=1 forwards misses to the real host and appends the answer to the fixture file
+ * (query params that look like credentials are dropped; request headers are never stored).
+ */
+export const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'http');
+
+const LOCAL = new Set(['127.0.0.1', 'localhost', '::1']);
+const SECRET = /key|token|secret|signature/i;
+
+export async function startReplay({ dir = FIXTURES, record = process.env.REPLAY_RECORD === '1' } = {}) {
+  const original = { http: { request: http.request, get: http.get }, https: { request: https.request, get: https.get } };
+  const fixtures = new Map();
+  const requests = [];
+  const misses = [];
+
+  const load = (host) => {
+    if (!fixtures.has(host)) {
+      const file = path.join(dir, `${host}.json`);
+      fixtures.set(host, fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : []);
+    }
+    return fixtures.get(host);
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const c of req) chunks.push(c);
+    const raw = Buffer.concat(chunks);
+    const host = req.headers['x-replay-host'];
+    const url = new URL(req.url, `https://${host}`);
+    const call = { method: req.method, host, path: url.pathname, query: Object.fromEntries(url.searchParams), body: raw.toString('utf8') };
+    requests.push(call);
+
+    let entry = load(host).find(f => matches(f, call));
+    if (!entry && record) entry = await forward(original, req, raw, host, dir, load(host));
+    if (!entry) {
+      misses.push(call);
+      res.writeHead(404, { 'content-type': 'application/json' });
+      return res.end(JSON.stringify({ error: `no fixture for ${req.method} ${host}${url.pathname}` }));
+    }
+
+    const [type, body] = entry.json !== undefined ? ['application/json', JSON.stringify(entry.json)]
+      : entry.base64 !== undefined ? ['application/octet-stream', Buffer.from(entry.base64, 'base64')]
+      : ['text/plain', entry.text ?? ''];
+    res.writeHead(entry.status || 200, { 'content-type': type, ...entry.headers });
+    res.end(body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const port = server.address().port;
+
+  const patch = (mod, scheme) => {
+    mod.request = function request(...args) {
+      const { options, callback } = normalize(args);
+      const host = (options.hostname || options.host || 'localhost').replace(/:\d+$/, '').replace(/^\[|\]$/g, '');
+      if (LOCAL.has(host)) return original[scheme].request.apply(mod, args);
+      const { agent, createConnection, ...rest } = options;
+      return original.http.request.call(http, {
+        ...rest,
+        protocol: 'http:',
+        hostname: '127.0.0.1',
+        host: '127.0.0.1',
+        port,
+        headers: { ...rest.headers, 'x-replay-host': host }
+      }, callback);
+    };
+    mod.get = function get(...args) {
+      const req = mod.request(...args);
+      req.end();
+      return req;
+    };
+  };
+  patch(http, 'http');
+  patch(https, 'https');
+  syncBuiltinESMExports();
+
+  return {
+    requests,
+    misses,
+    // Calls made to one host, e.g. replay.to('api.x.com')
+    to: (host) => requests.filter(r => r.host === host),
+    async stop() {
+      Object.assign(http, original.http);
+      Object.assign(https, original.https);
+      syncBuiltinESMExports();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// request(url[, options][, callback]) and request(options[, callback]) -> one options object
+function normalize(args) {
+  const callback = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : undefined;
+  const [first, second] = args;
+  if (typeof first === 'string' || first instanceof URL) {
+    const options = urlToHttpOptions(new URL(first));
+    return { options: { ...options, ...(second && typeof second === 'object' ? second : {}) }, callback };
+  }
+  return { options: { ...first }, callback };
+}
+
+function matches(entry, call) {
+  if ((entry.method || 'GET') !== call.method || entry.path !== call.path) return false;
+  if (entry.query && Object.entries(entry.query).some(([k, v]) => call.query[k] !== String(v))) return false;
+  return !entry.body || call.body.includes(entry.body);
+}
+
+async function forward(original, req, raw, host, dir, entries) {
+  const headers = { ...req.headers, host };
+  delete headers['x-replay-host'];
+  delete headers['accept-encoding'];
+  const answer = await new Promise((resolve, reject) => {
+    const out = original.https.request.call(https, { hostname: host, path: req.url, method: req.method, headers }, (r) => {
+      const chunks = [];
+      r.on('data', c => chunks.push(c));
+      r.on('end', () => resolve({ status: r.statusCode, type: r.headers['content-type'] || '', body: Buffer.concat(chunks) }));
+    });
+    out.on('error', reject);
+    out.end(raw);
+  }).catch(e => (console.warn(`replay record fail (${host}):`, e.message), null));
+  if (!answer) return null;
+
+  const url = new URL(req.url, `https://${host}`);
+  const query = Object.fromEntries([...url.searchParams].filter(([k]) => !SECRET.test(k)));
+  let entry = { method: req.method, path: url.pathname, ...(Object.keys(query).length ? { query } : {}), status: answer.status };
+  if (answer.type.includes('json')) entry.json = JSON.parse(answer.body.toString('utf8') || 'null');
+  else if (/^text\//.test(answer.type)) entry.text = answer.body.toString('utf8');
+  else entry = { ...entry, headers: { 'content-type': answer.type }, base64: answer.body.toString('base64') };
+
+  entries.push(entry);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${host}.json`), `${JSON.stringify(entries, null, 2)}\n`);
+  return entry;
+}
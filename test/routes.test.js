@@ -0,0 +1,342 @@
+import assert from 'assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { matchGolden, quiet, shapeOf, startApp, testEnv } from './helpers.js';
+import { startReplay } from './replay.js';
+
+// Every read-side route end-to-end, with CoinGecko, NOAA, WeatherAPI, OpenAI and X answered from test/fixtures/http
+testEnv();
+const { sigilPath } = await import('../api/lib/sigil.js');
+const AUTH = { headers: { authorization: 'Bearer test-secret' } };
+const MOTH = '7GCihgDB8fe6KNjn2MYtkzZcRjQy3t9GHdC8uHYmW2hr';
+const HOUR_MS = 60 * 60 * 1000;
+let api, replay, restore;
+
+before(async () => {
+  restore = quiet();
+  replay = await startReplay();
+  const { default: app } = await import('../api/app.js');
+  api = await startApp(app);
+});
+
+after(async () => {
+  await api?.close();
+  await replay?.stop();
+  restore?.();
+});
+
+describe('pages', () => {
+  it('serves the static pages', async () => {
+    for (const url of ['/', '/pulse', '/lunar.html']) {
+      const res = await api.get(url);
+      assert.equal(res.status, 200, url);
+      assert.match(res.headers.get('content-type'), /html/);
+    }
+  });
+});
+
+describe('/api/lunar', () => {
+  it('matches the golden response shape', async () => {
+    const { status, body } = await api.get('/api/lunar');
+    assert.equal(status, 200);
+    // moonrise / moonset are null on the days the moon doesn't rise or set at the location
+    matchGolden('lunar.shape.json', shapeOf({ ...body, moonrise: body.moonrise ?? '', moonset: body.moonset ?? '' }));
+  });
+
+  it('computes the phase locally and cross-checks it with WeatherAPI', async () => {
+    const { body } = await api.get('/api/lunar?lat=40.7&lon=-74');
+    assert.equal(body.source, 'ephemeris');
+    assert.deepEqual(body.location, { lat: 40.7, lon: -74 });
+    assert.ok(body.angle >= 0 && body.angle < 360);
+    assert.equal(body.crossCheck.source, 'weatherapi');
+    assert.equal(body.crossCheck.phase, 'First Quarter');
+    assert.equal(body.crossCheck.agrees, body.phase === 'First Quarter');
+  });
+});
+
+describe('/api/celestial', () => {
+  it('matches the golden response shape', async () => {
+    const { status, body } = await api.get('/api/celestial');
+    assert.equal(status, 200);
+    matchGolden('celestial.shape.json', shapeOf(body));
+  });
+
+  it('reads every NOAA feed', async () => {
+    const { body } = await api.get('/api/celestial');
+    assert.deepEqual(body.kp.realtime, { index: 3, state: '🟡 Unsettled', time: '2026-10-18T11:50:00.000Z' });
+    assert.equal(body.kp.averaged.index, 3.33);
+    assert.deepEqual(body.kp.forecast.map(f => f.kp), [4, 5, 3.67]);
+    assert.equal(body.solarWind.speed, 418.9);
+    assert.equal(body.solarWind.bz, -3.1);
+    assert.equal(body.xray.class, 'C3.2');
+    assert.equal(body.xray.peak6h, 'C3.4');
+    assert.equal(body.scales.forecast[0].G, 1);
+    assert.ok(Object.values(body.sources).every(s => s.ok));
+  });
+
+  it('leaves the history to the cron', async () => {
+    const { status, body } = await api.get('/api/celestial/history?days=1');
+    assert.equal(status, 200);
+    assert.equal(body.count, 0);
+  });
+});
+
+describe('/api/token/:id', () => {
+  it('returns token data with the indicator snapshot', async () => {
+    const { status, body } = await api.get('/api/token/solana');
+    assert.equal(status, 200);
+    assert.equal(body.token.symbol, 'SOL');
+    assert.equal(body.token.price, 131.3042);
+    assert.ok(body.token.rsi >= 0 && body.token.rsi <= 100);
+    assert.ok(body.levels.invalidation < body.token.price && body.token.price < body.levels.threshold);
+  });
+
+  it('rejects unknown timeframes and tokens', async () => {
+    assert.equal((await api.get('/api/token/solana?tf=2d')).status, 400);
+    assert.equal((await api.get('/api/token/unknown-coin')).status, 404);
+  });
+});
+
+describe('/api/backtest', () => {
+  it('replays the daily history', async () => {
+    const { status, body } = await api.get('/api/backtest?token=solana');
+    assert.equal(status, 200);
+    assert.deepEqual(body.token, { id: 'solana', symbol: 'SOL' });
+    assert.ok(body.range.days > 300);
+    // The fixture's history runs past the Demo cap, so nothing was clipped
+    assert.deepEqual(body.history, { from: '2025-09-13', to: '2026-10-18', days: 401, limited: false });
+  });
+
+  it('flags a from earlier than the history it got', async () => {
+    const { status, body } = await api.get('/api/backtest?token=solana&from=2020-01-01');
+    assert.equal(status, 200);
+    assert.deepEqual(body.requested, { from: '2020-01-01', to: null });
+    assert.equal(body.history.limited, true);
+    assert.equal(body.range.from > '2025-09-13', true);
+    assert.ok(Object.keys(body.byArchetype).length);
+  });
+
+  it('needs a token', async () => {
+    assert.equal((await api.get('/api/backtest')).status, 400);
+  });
+
+  it('rejects a date that does not parse', async () => {
+    const { status, body } = await api.get('/api/backtest?token=solana&from=2026-13-45');
+    assert.equal(status, 400);
+    assert.match(body.error, /^from is not a date/);
+  });
+});
+
+describe('/api/sigil', () => {
+  it('renders PNG and SVG', async () => {
+    const png = await api.get('/api/sigil/SOL.png?size=64');
+    assert.equal(png.status, 200);
+    assert.equal(png.body.subarray(1, 4).toString(), 'PNG');
+    // IHDR width: sizes snap to 128/256/512, so 64 renders at 128 and 2000 at 512
+    assert.equal(png.body.readUInt32BE(16), 128);
+    assert.equal((await api.get('/api/sigil/SOL.png?size=2000')).body.readUInt32BE(16), 512);
+    const svg = await api.get('/api/sigil/SOL.svg');
+    assert.match(svg.headers.get('content-type'), /svg/);
+    assert.match(svg.body, /^<svg/);
+  });
+
+  it('only takes known inputs, so free text never reaches the render', async () => {
+    const path = sigilPath({ token: 'SOL', archetype: 'seer', sentiment: 'charged momentum', moon: 'Full Moon', quote: 'The quarter moon holds its breath.' });
+    assert.match(path, /^\/api\/sigil\/SOL\.png\?archetype=seer&intensity=charged&moon=Full\+Moon&q=\d+$/);
+    const svg = async (qs) => (await api.get(`/api/sigil/SOL.svg?${qs}`)).body;
+    assert.equal(await svg('archetype=nope&moon=Blood+Moon&q=9999'), await svg(''));
+    assert.equal(await svg('quote=anything+at+all'), await svg(''));
+    assert.notEqual(await svg('archetype=shadow'), await svg(''));
+  });
+});
+
+describe('/api/preview/post', () => {
+  it('needs the cron secret', async () => {
+    assert.equal((await api.get('/api/preview/post?token=solana')).status, 401);
+  });
+
+  it('composes a read with the model insight and every channel format', async () => {
+    const { status, body } = await api.get('/api/preview/post?token=solana', AUTH);
+    assert.equal(status, 200);
+    assert.equal(body.token, 'SOL');
+    assert.equal(body.insight.source, 'model');
+    assert.equal(body.insight.provider, 'openai');
+    const ask = JSON.parse(replay.to('api.openai.com').find(r => r.path === '/v1/chat/completions').body);
+    assert.equal(ask.model, 'gpt-4o');
+    assert.equal(ask.response_format.json_schema.name, 'oracle_insight');
+    assert.match(body.fullText, /^◇ SOLANA \/\/ SOL — ACTIVE READ/);
+    assert.match(body.fullText, /The quarter moon holds its breath/);
+    assert.ok(body.tweets.every(t => t.chars <= 280));
+    assert.deepEqual(Object.keys(body.channels).sort(), ['discord', 'farcaster', 'telegram', 'x']);
+    assert.deepEqual(body.active, ['x']);
+  });
+
+  it('selects from trending when no token is given', async () => {
+    const { body } = await api.get('/api/preview/post', AUTH);
+    assert.equal(body.token, 'SOL');
+    assert.deepEqual(body.selection.decisions.map(d => [d.id, d.reason]), [
+      ['tiny-cat', 'market cap $210000 < $1000000'],
+      ['solana', 'selected']
+    ]);
+  });
+
+  it('falls back to the sigil and template read with the stub providers', async () => {
+    const { body } = await api.get('/api/preview/post?token=solana&provider=stub&image=1', AUTH);
+    assert.equal(body.insight.provider, 'stub');
+    assert.match(body.imageUrl, /^data:image\/svg\+xml/);
+  });
+});
+
+describe('/api/preview/reply', () => {
+  it('reads the token a mention asks about', async () => {
+    const { status, body } = await api.get('/api/preview/reply?tweet=1800000000000000101', AUTH);
+    assert.equal(status, 200);
+    assert.equal(body.mention, '@alice_soul_ai read $SOL for me');
+    assert.equal(body.token, 'SOL');
+    assert.equal(body.unknown, null);
+  });
+
+  it('answers unknown tickers without a read', async () => {
+    const { body } = await api.get(`/api/preview/reply?text=${encodeURIComponent('what about $NOPE')}`, AUTH);
+    assert.deepEqual(body.unknown, { type: 'ticker', value: 'NOPE' });
+    assert.match(body.fullText, /no reflection for \$NOPE/);
+  });
+
+  it('reads a contract only listed on a DEX', async () => {
+    const { body } = await api.get(`/api/preview/reply?text=${encodeURIComponent(`read ${MOTH} pls`)}`, AUTH);
+    assert.equal(body.unknown, null);
+    assert.equal(body.token, 'MOTH');
+  });
+});
+
+describe('/api/weather', () => {
+  it('reads the majors and trending basket under the current sky', async () => {
+    const { status, body } = await api.get('/api/weather');
+    assert.equal(status, 200);
+    assert.deepEqual(body.tokens.map(t => [t.symbol, t.group, t.rsi, t.archetype]), [
+      ['BTC', 'major', 37, 'trickster'], ['ETH', 'major', 62, 'guardian'], ['SOL', 'major', 10, 'shadow'], ['FROG', 'trending', 69, 'guardian']
+    ]);
+    assert.deepEqual(body.excluded, [{ id: 'tiny-cat', reason: 'market cap $210000 < $1000000' }]);
+    assert.deepEqual(body.breadth, { above: 2, total: 4, share: 0.5 });
+    assert.equal(body.rsi.dispersion, 23.2);
+    assert.equal(body.condition.label, 'Crosswinds');
+    assert.deepEqual([body.rotation.groups.trending.turnover, body.rotation.score, body.rotation.direction], [44.4, 4.03, 'into trending']);
+    assert.deepEqual([body.sky.kp, body.sky.kpState], [3, '🟡 Unsettled']);
+    assert.match(body.text, /^🌬 MARKET WEATHER — CROSSWINDS/);
+    assert.match(body.text, /Basket: \$BTC \$ETH \$SOL \$FROG/);
+    assert.match(body.poster.sigil, /^\/api\/sigil\/MARKET\.png\?archetype=/);
+    assert.match(body.poster.prompt, /sacred weather glyph/);
+  });
+
+  it('returns chart series for pulse.html', async () => {
+    const { body } = await api.get('/api/weather');
+    assert.deepEqual(body.chart.rsi.map(r => r.label), ['FROG', 'ETH', 'BTC', 'SOL']);
+    assert.deepEqual(body.chart.archetypes.map(a => [a.label, a.value]), [['guardian', 2], ['trickster', 1], ['shadow', 1]]);
+    assert.deepEqual(body.chart.rotation.map(r => r.label), ['major', 'trending']);
+    assert.equal(body.chart.history.length, 1);
+    matchGolden('weather.shape.json', shapeOf(body));
+  });
+});
+
+describe('/api/personas and /api/selection', () => {
+  it('lists personas', async () => {
+    const { body } = await api.get('/api/personas', AUTH);
+    assert.deepEqual(body.personas.map(p => p.name).sort(), ['alice', 'alice-terse']);
+  });
+
+  it('shows the selection config', async () => {
+    const { status, body } = await api.get('/api/selection', AUTH);
+    assert.equal(status, 200);
+    assert.equal(body.config.minMarketCap, 1e6);
+    assert.ok(Array.isArray(body.runs));
+  });
+});
+
+describe('/api/migrations', () => {
+  it('ingests a migration once and lists it', async () => {
+    const event = { mint: MOTH, signature: '5xFixtureSignature1111111111111111111111111111111111', method: 'migrate_to_cpswap' };
+    Object.assign(process.env, { MIGRATION_POST: '1', DRY_RUN: '1' });
+    let first;
+    try {
+      first = await api.post('/api/migrations', event, AUTH);
+    } finally {
+      Object.assign(process.env, { MIGRATION_POST: '', DRY_RUN: '' });
+    }
+    assert.equal(first.status, 201);
+    assert.equal(first.body.record.symbol, 'MOTH');
+    assert.equal(first.body.record.venue, 'Raydium CPSwap');
+    assert.equal(first.body.record.liquidityUSD, 86000.12);
+    // A dry run previews the post without taking the cooldown window
+    assert.equal(first.body.posted.dryRun, true);
+    assert.equal(first.body.posted.preview.token, 'MOTH');
+    const { getStore } = await import('../api/lib/store.js');
+    assert.equal(await getStore().get(`lock:migration-post:${Math.floor(Date.now() / HOUR_MS)}`), null);
+
+    const again = await api.post('/api/migrations', event, AUTH);
+    assert.equal(again.status, 200);
+    assert.equal(again.body.fresh, false);
+
+    const { body } = await api.get('/api/migrations');
+    assert.equal(body.count, 1);
+  });
+
+  it('rejects incomplete events', async () => {
+    assert.equal((await api.post('/api/migrations', { mint: MOTH }, AUTH)).status, 400);
+  });
+});
+
+describe('/api/alerts', () => {
+  it('creates, lists and deletes a rule', async () => {
+    assert.equal((await api.post('/api/alerts', { tokenId: 'solana' }, AUTH)).status, 400);
+
+    const rule = { tokenId: 'solana', condition: { type: 'price_cross', level: 140 }, webhook: { url: 'http://127.0.0.1:9/hook' } };
+    const created = await api.post('/api/alerts', rule, AUTH);
+    assert.equal(created.status, 201);
+    assert.ok(created.body.secret);
+
+    const listed = await api.get('/api/alerts', AUTH);
+    assert.deepEqual(listed.body.rules.map(r => r.id), [created.body.rule.id]);
+    assert.equal(listed.body.rules[0].webhook.secret, undefined);
+
+    assert.equal((await api.del(`/api/alerts/${created.body.rule.id}`, AUTH)).status, 200);
+    assert.equal((await api.del(`/api/alerts/${created.body.rule.id}`, AUTH)).status, 404);
+  });
+});
+
+describe('ledger routes', () => {
+  it('answer with an empty ledger', async () => {
+    const pulse = await api.get('/api/pulse');
+    assert.equal(pulse.status, 200);
+    assert.equal(pulse.body.totalSignals, 0);
+    assert.equal(pulse.body.outcomes.overall.resolved, 0);
+
+    const mirror = await api.get('/api/mirror');
+    assert.equal(mirror.body.total, 0);
+
+    const resonance = await api.get('/api/resonance');
+    assert.deepEqual(resonance.body, []);
+  });
+});
+
+describe('/api/health and /api/status', () => {
+  it('reports healthy when every dependency answers', async () => {
+    const health = await api.get('/api/health');
+    assert.equal(health.status, 200);
+    assert.equal(health.body.status, 'ok');
+
+    const { status, body } = await api.get('/api/status');
+    assert.equal(status, 200);
+    assert.deepEqual(Object.entries(body.dependencies).map(([n, d]) => [n, d.ok]), [
+      ['store', true], ['coingecko', true], ['weatherapi', true], ['spaceweather', true], ['text', true]
+    ]);
+    assert.equal(body.dependencies.store.detail.kind, 'file');
+    assert.equal(body.dependencies.text.detail.provider, 'openai');
+    assert.equal(body.channels.x.enabled, true);
+    assert.equal(body.channels.telegram.configured, false);
+  });
+});
+
+describe('fixtures', () => {
+  it('cover every outbound request', () => {
+    assert.deepEqual(replay.misses, []);
+  });
+});
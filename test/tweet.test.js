@@ -0,0 +1,106 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { planTweets, tweetLength } from '../api/lib/composer.js';
+import { computeOracleMetrics } from '../api/lib/oracle-metrics.js';
+import { getPersona } from '../api/lib/persona.js';
+import { parseOracleTweet } from '../api/lib/sync.js';
+import { assembleTweet, buildPosterPrompt, describeIndicators, fallbackInsight, readVars } from '../api/lib/tweet.js';
+import { matchGolden } from './helpers.js';
+
+const persona = getPersona('alice');
+const tokenData = {
+  symbol: 'SOL', name: 'Solana', rsi: 58, price: 131.3042, change24h: 3.42, volumeUSD: 3.104e9, marketCap: 61.35e9,
+  fdv: 76.87e9, circulatingSupply: 467.2e6, totalSupply: 585.4e6, holders: 3120000
+};
+const lunar = { phase: 'First Quarter', pattern: { tier: 'Charge' }, angle: 98.14 };
+const snapshot = {
+  levels: { threshold: 133.473, echoRim: 136.447, invalidation: 129.683 },
+  indicators: { macd: { histogram: -0.4943 }, bollinger: { percentB: 0.179 }, ema: { cross: { '50/200': { state: 'bull' } } }, stochRsi: { k: 4.81 }, volumeChange: 0.12 }
+};
+const metrics = computeOracleMetrics({ symbol: 'SOL', change24h: 3.42, volumeChange: 0.12, angle: 98.14, kp: 3.33, seed: '0123456789abcdef' });
+const insight = {
+  quote: 'The quarter moon holds its breath while the floor remembers every fall.',
+  analysis: 'SOL leans on support at 129.68. A reclaim of 133.47 opens the path to the echo rim at 136.45; losing 129.68 lets the shadow run.'
+};
+
+describe('readVars', () => {
+  const { vars, facts } = readVars(lunar, tokenData, 'seer', { snapshot, metrics, persona });
+
+  it('formats market numbers for the templates', () => {
+    assert.equal(vars.NAME, 'SOLANA');
+    assert.equal(vars.price, '131.30');
+    assert.equal(vars.change24h, '+3.42%');
+    assert.equal(vars.volume, '3.10B');
+    assert.equal(vars.holdersK, '3.12K');
+    assert.equal(vars.volMcapRatio, '5.1');
+    assert.equal(vars.threshold, '133.47');
+    assert.equal(vars.lunarMessage, 'Signal friction. Cut noise.');
+    assert.match(vars.alignmentString, /^SOL-\d+Ω \/ Δ\S+ : TH13347 < ECHO > 13645$/);
+  });
+
+  it('gives the validator the unrounded facts', () => {
+    assert.deepEqual(facts, {
+      price: 131.304, change24h: 3.42, rsi: 58, volume: 3.104e9, marketCap: 61.35e9,
+      threshold: 133.473, echoRim: 136.447, invalidation: 129.683
+    });
+  });
+
+  it('falls back to price-only levels and neutral defaults', () => {
+    const { vars, facts } = readVars(null, { symbol: 'NEW', price: 2 }, 'echo', { persona });
+    assert.equal(vars.moon, 'Unknown');
+    assert.equal(vars.tier, 'Veil');
+    assert.equal(vars.rsi, 50);
+    assert.equal(facts.threshold, 2.1);
+    assert.equal(facts.invalidation, 1.92);
+    assert.equal(vars.indicators, '');
+  });
+});
+
+describe('describeIndicators', () => {
+  it('summarises what the snapshot has', () => {
+    assert.equal(describeIndicators(snapshot.indicators), '\nIndicators: MACD hist -0.4943, BB %B 0.179, EMA50/200 bull, StochRSI 4.81');
+    assert.equal(describeIndicators({ macd: { histogram: 0.2 } }), '\nIndicators: MACD hist +0.2');
+    assert.equal(describeIndicators(null), '');
+  });
+});
+
+describe('buildPosterPrompt', () => {
+  it('renders the persona poster prompt with a cleaned ticker', () => {
+    const prompt = buildPosterPrompt({ token: '$sol-2', archetype: 'seer', sentiment: 'focused echo', moon: 'First Quarter', quote: 'Look through, not at.' }, persona);
+    assert.match(prompt, /\bSOL\b/);
+    assert.doesNotMatch(prompt, /\$sol|sol-2|\{\{/);
+    matchGolden('poster-prompt.txt', `${prompt}\n`);
+  });
+});
+
+describe('tweet assembly', () => {
+  const { vars } = readVars(lunar, tokenData, 'seer', { snapshot, metrics, persona });
+
+  it('matches the golden ACTIVE READ tweet', () => {
+    const text = assembleTweet(vars, insight, persona);
+    assert.doesNotMatch(text, /\{\{|undefined|NaN/);
+    matchGolden('tweet.txt', text);
+  });
+
+  it('matches the golden template fallback', () => {
+    const fallback = fallbackInsight(vars, persona, 'Momentum follows myth. Trade accordingly.');
+    matchGolden('tweet-fallback.txt', assembleTweet(vars, fallback, persona));
+  });
+
+  it('splits into the golden thread within the weighted limit', () => {
+    const plan = planTweets(assembleTweet(vars, insight, persona));
+    for (const t of plan.tweets) assert.ok(tweetLength(t) <= 280, `${tweetLength(t)} chars`);
+    matchGolden('tweet-thread.json', plan);
+  });
+
+  it('stays parseable by the timeline sync', () => {
+    const parsed = parseOracleTweet(assembleTweet(vars, insight, persona));
+    assert.equal(parsed.token, 'SOL');
+    assert.equal(parsed.name, 'SOLANA');
+    assert.equal(parsed.price, 131.3);
+    assert.equal(parsed.change24h, 3.42);
+    assert.equal(parseOracleTweet('$SOL • RSI 45 • 24h Change: 0.00%').change24h, 0);
+    assert.equal(parseOracleTweet('$SOL • RSI 45 • 24h Change: --').change24h, null);
+    assert.equal(parsed.quote, insight.quote);
+  });
+});
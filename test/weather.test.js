@@ -0,0 +1,115 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { weatherVars } from '../api/lib/tweet.js';
+import {
+  archetypeDistribution, basketEntry, breadthOf, buildBasket, dayEarlier, rotationOf, rsiStats, summarizeWeather, weatherChart, weatherCondition, weatherConfig
+} from '../api/lib/weather.js';
+
+const entry = (symbol, group, rsi, volumeUSD, marketCap, archetype = 'seer', change24h = 0) => ({ id: symbol.toLowerCase(), symbol, group, rsi, volumeUSD, marketCap, archetype, change24h });
+
+const basket = [
+  entry('BTC', 'major', 55, 30e9, 1300e9, 'seer', 1),
+  entry('ETH', 'major', 65, 15e9, 300e9, 'guardian', 3),
+  entry('FROG', 'trending', 72, 20e6, 50e6, 'guardian', 20)
+];
+
+describe('weatherConfig and buildBasket', () => {
+  it('defaults the majors and reads the env lists', () => {
+    assert.deepEqual(weatherConfig({}).majors, ['bitcoin', 'ethereum', 'solana']);
+    assert.deepEqual(weatherConfig({ WEATHER_MAJORS: 'bitcoin, dogecoin', WEATHER_TRENDING: '3' }), { majors: ['bitcoin', 'dogecoin'], trending: 3, maxTokens: 12 });
+  });
+
+  it('keeps a trending major in the majors and caps the basket', () => {
+    const out = buildBasket(['bitcoin', 'solana'], [{ id: 'solana', symbol: 'SOL' }, { id: 'frog', symbol: 'FROG' }, { id: 'cat', symbol: 'CAT' }], 3);
+    assert.deepEqual(out.map(t => [t.id, t.group]), [['bitcoin', 'major'], ['solana', 'major'], ['frog', 'trending']]);
+  });
+});
+
+describe('basket statistics', () => {
+  it('computes RSI spread and breadth over the tokens with an RSI', () => {
+    const withGap = [...basket, entry('NEW', 'trending', null, 1e6, 2e6)];
+    assert.deepEqual(rsiStats(withGap), { count: 3, mean: 64, median: 65, dispersion: 7, min: { symbol: 'BTC', rsi: 55 }, max: { symbol: 'FROG', rsi: 72 } });
+    assert.deepEqual(breadthOf(withGap), { above: 3, total: 3, share: 1 });
+    assert.deepEqual(rsiStats([]).mean, null);
+    assert.deepEqual(breadthOf([]).share, null);
+  });
+
+  it('counts archetypes and names the dominant one', () => {
+    assert.deepEqual(archetypeDistribution(basket), { counts: { seer: 1, guardian: 2 }, percentages: { seer: 33.3, guardian: 66.7 }, dominant: 'guardian', unknown: 0 });
+    assert.equal(archetypeDistribution([entry('A', 'major', 50, 1, 1, 'echo'), entry('B', 'major', 50, 1, 1, 'seer')]).dominant, 'echo');
+  });
+
+  it('leaves tokens without an RSI out of the distribution', () => {
+    const fresh = basketEntry({ id: 'new', symbol: 'NEW', rsi: null, volumeUSD: 1e6 }, 'trending');
+    assert.equal(fresh.archetype, null);
+    assert.deepEqual(archetypeDistribution([...basket, fresh]), { counts: { seer: 1, guardian: 2 }, percentages: { seer: 33.3, guardian: 66.7 }, dominant: 'guardian', unknown: 1 });
+  });
+});
+
+describe('rotationOf', () => {
+  it('compares trending turnover with the majors', () => {
+    const r = rotationOf(basket);
+    assert.equal(r.turnover, 2.81);
+    assert.equal(r.groups.major.turnover, 2.81);
+    assert.equal(r.groups.trending.turnover, 40);
+    assert.equal(r.score, 3.83);
+    assert.equal(r.direction, 'into trending');
+    assert.equal(r.change24h, 1.38);
+    assert.equal(r.turnoverChange, null);
+  });
+
+  it('measures the change against an earlier snapshot', () => {
+    const r = rotationOf(basket, { turnover: 3.5, score: 4.5 });
+    assert.equal(r.turnoverChange, -0.69);
+    assert.equal(r.scoreChange, -0.67);
+  });
+
+  it('reads money going back to the majors and a basket without trending tokens', () => {
+    const cold = [basket[0], entry('FROG', 'trending', 40, 1e6, 100e6)];
+    assert.equal(rotationOf(cold).direction, 'into majors');
+    assert.deepEqual([rotationOf(basket.slice(0, 2)).score, rotationOf(basket.slice(0, 2)).direction], [null, 'no trending read']);
+  });
+});
+
+describe('weatherCondition', () => {
+  it('reads breadth for direction and dispersion for agreement', () => {
+    const label = (share, dispersion) => weatherCondition({ share, dispersion }).label;
+    assert.equal(label(0.8, 5), 'Clear Skies');
+    assert.equal(label(0.6, 15), 'Scattered Sun');
+    assert.equal(label(0.5, 5), 'Still Air');
+    assert.equal(label(0.5, 12), 'Crosswinds');
+    assert.equal(label(0.4, 5), 'Overcast');
+    assert.equal(label(0.2, 20), 'Squalls');
+    assert.equal(label(null, null), 'Fog');
+  });
+});
+
+describe('summarizeWeather', () => {
+  const lunar = { phase: 'Full Moon', illumination: '99', pattern: { tier: 'Overglow', glyph: '☄', signal: 'Full sentiment — likely reversal.' } };
+  const summary = summarizeWeather({ entries: basket, excluded: [{ id: 'tiny', reason: 'blocklisted' }], lunar, kp: { index: 6 }, time: '2026-10-18T12:00:00Z' });
+
+  it('puts the basket under the sky', () => {
+    assert.equal(summary.condition.label, 'Clear Skies');
+    assert.deepEqual(summary.sky, { phase: 'Full Moon', illumination: '99', tier: 'Overglow', glyph: '☄', signal: 'Full sentiment — likely reversal.', kp: 6, kpState: '🔴 Storm Watch' });
+    assert.equal(summary.count, 3);
+    assert.equal(summary.excluded.length, 1);
+  });
+
+  it('feeds the template and the chart', () => {
+    const vars = weatherVars(summary);
+    assert.equal(vars.symbols, '$BTC $ETH $FROG');
+    assert.equal(vars.archetypes, 'guardian 2 · seer 1');
+    assert.equal(vars.rotationRatio, '14.2x');
+    const chart = weatherChart(summary, [{ t: '2026-10-17T12:00:00Z', breadth: 0.5, dispersion: 3, turnover: 2, score: 1, count: 3 }]);
+    assert.deepEqual(chart.rsi.map(r => r.label), ['FROG', 'ETH', 'BTC']);
+    assert.deepEqual(chart.history, [{ t: '2026-10-17T12:00:00Z', breadth: 0.5, dispersion: 3, turnover: 2, score: 1 }]);
+  });
+});
+
+describe('dayEarlier', () => {
+  it('finds the latest snapshot about a day old', () => {
+    const history = ['2026-10-16T12:00:00Z', '2026-10-17T11:30:00Z', '2026-10-17T13:00:00Z', '2026-10-18T11:00:00Z'].map(t => ({ t }));
+    assert.equal(dayEarlier(history, '2026-10-18T12:00:00Z').t, '2026-10-17T11:30:00Z');
+    assert.equal(dayEarlier(history.slice(3), '2026-10-18T12:00:00Z'), null);
+  });
+});